@@ -0,0 +1,96 @@
+// advisor.js
+// Odds and keep suggestions for a turn in progress, built on the rules
+// engine's own scoring. The AI seat uses it, and server.js serves it (with
+// rules.js) to the browser, so hints can never disagree with the server.
+const { scoreKeptDice } = require("./rules");
+
+// Per scoring setup: table[n] = { farkle, avgScore } for a fresh roll of n dice
+const oddsCache = new Map();
+
+function bestPoints(values, rules) {
+  let best = 0;
+  for (let mask = 1; mask < (1 << values.length); mask++) {
+    const pick = values.filter((_, i) => mask & (1 << i));
+    best = Math.max(best, scoreKeptDice(pick, rules).points);
+  }
+  return best;
+}
+
+// Exact odds by walking every possible roll; distinct rolls are scored once.
+function odds(n, rules) {
+  const key = JSON.stringify([rules.combos, rules.enabledCombos, rules.nOfAKind]);
+  if (!oddsCache.has(key)) oddsCache.set(key, []);
+  const table = oddsCache.get(key);
+
+  if (!table[n]) {
+    const bestByKey = new Map();
+    const total = 6 ** n;
+    let farkles = 0;
+    let points = 0;
+    for (let k = 0; k < total; k++) {
+      const values = [];
+      for (let i = 0, r = k; i < n; i++, r = Math.floor(r / 6)) values.push(1 + (r % 6));
+      const roll = values.sort().join("");
+      if (!bestByKey.has(roll)) bestByKey.set(roll, bestPoints(values, rules));
+      const best = bestByKey.get(roll);
+      if (best === 0) farkles++;
+      else points += best;
+    }
+    table[n] = { farkle: farkles / total, avgScore: points / (total - farkles) };
+  }
+  return table[n];
+}
+
+// Expected turn total after one more roll of diceLeft dice
+function rollValue(turnPoints, diceLeft, rules) {
+  const o = odds(diceLeft, rules);
+  return (1 - o.farkle) * (turnPoints + o.avgScore);
+}
+
+// Dice the next roll would throw: the unlocked ones, or all six after hot dice
+function diceToRoll(locked) {
+  return locked.filter(l => !l).length || 6;
+}
+
+// Every valid keep among the dice that are not locked
+function keepOptions(state, rules) {
+  const free = [];
+  for (let i = 0; i < 6; i++) if (!state.locked[i]) free.push(i);
+
+  const options = [];
+  for (let mask = 1; mask < (1 << free.length); mask++) {
+    const idx = free.filter((_, b) => mask & (1 << b));
+    const { points } = scoreKeptDice(idx.map(i => state.dice[i]), rules);
+    if (points > 0) options.push({ idx, points, diceLeft: free.length - idx.length || 6 });
+  }
+  return options;
+}
+
+// Expected turn total for a keep: bank it, or roll on, whichever is worth more
+function keepValue(state, option, rules) {
+  const total = state.turnPoints + option.points;
+  return Math.max(total, rollValue(total, option.diceLeft, rules));
+}
+
+// The keep with the highest expected value, or null when nothing scores
+function bestKeep(state, rules) {
+  const options = keepOptions(state, rules);
+  if (options.length === 0) return null;
+  return options.reduce((best, o) => (keepValue(state, o, rules) > keepValue(state, best, rules) ? o : best));
+}
+
+/**
+ * What keeping the current selection would do:
+ * { dice: [values], points, valid, diceLeft } — points is 0 and valid false
+ * when any selected die doesn't score.
+ */
+function selectionPreview(state, rules) {
+  const idx = [];
+  for (let i = 0; i < 6; i++) if (state.selected[i]) idx.push(i);
+  const dice = idx.map(i => state.dice[i]);
+  const { points } = scoreKeptDice(dice, rules);
+  const left = state.locked.filter((l, i) => !l && !state.selected[i]).length;
+  return { dice, points, valid: points > 0, diceLeft: left || 6 };
+}
+
+module.exports = { odds, rollValue, diceToRoll, keepOptions, keepValue, bestKeep, selectionPreview };
@@ -0,0 +1,70 @@
+// bot.js
+// Server-side AI seat. This only decides the next move from room state;
+// server.js applies it through the same turn actions the socket handlers use.
+const { rollValue, diceToRoll, keepOptions, bestKeep } = require("./advisor");
+
+const BOT_LEVELS = {
+  cautious: { label: "Cautious", name: "Cabin Boy Bot" },
+  threshold: { label: "Steady", name: "Bosun Bot" },
+  ev: { label: "Cunning", name: "Cap'n Bot" }
+};
+
+const CAUTIOUS_BANK_AT = 300;
+const THRESHOLD_BANK_AT = 500;
+
+function wantsToRoll(level, turnPoints, diceLeft, rules) {
+  if (turnPoints === 0) return true;
+  if (level === "cautious") return turnPoints < CAUTIOUS_BANK_AT && diceLeft > 2;
+  if (level === "threshold") return turnPoints < THRESHOLD_BANK_AT;
+  return rollValue(turnPoints, diceLeft, rules) > turnPoints;
+}
+
+function pickKeep(level, room, options) {
+  if (level === "ev") return bestKeep(room, room.rules);
+  // Simpler bots grab the most points, using as few dice as possible
+  return options.reduce((best, o) => {
+    if (o.points !== best.points) return o.points > best.points ? o : best;
+    return o.idx.length < best.idx.length ? o : best;
+  });
+}
+
+// Piggyback: the cunning bot takes a pot when rolling on from it beats a fresh six
+function wantsPot(level, room) {
+  if (level !== "ev" || !room.pot || !room.rules.piggyback) return false;
+  const diceLeft = diceToRoll(room.pot.locked);
+  return rollValue(room.pot.points, diceLeft, room.rules) > rollValue(0, 6, room.rules);
+}
+
+/**
+ * Next move for the bot in `seat`:
+ * { type: "roll" } | { type: "bank" } | { type: "select", idx: [dice indexes] } | { type: "keep" }
+ * | { type: "takePot" }
+ */
+function planBotMove(room, seat) {
+  const player = room.players[seat];
+  const level = player.bot;
+
+  if (room.canRoll) {
+    if (wantsPot(level, room)) return { type: "takePot" };
+    // Not on the board yet: nothing to do but roll until the opening score
+    if (!player.onBoard && room.turnPoints < room.rules.openingScore) return { type: "roll" };
+
+    const total = player.score + room.turnPoints;
+    // Last chance: banking short of the leader loses anyway, so keep rolling
+    if (room.finalRound) {
+      const best = Math.max(...room.players.filter(p => p.seat !== seat).map(p => p.score));
+      return total > best ? { type: "bank" } : { type: "roll" };
+    }
+    if (room.turnPoints > 0 && total >= room.rules.targetScore) return { type: "bank" };
+    const diceLeft = diceToRoll(room.locked);
+    return wantsToRoll(level, room.turnPoints, diceLeft, room.rules) ? { type: "roll" } : { type: "bank" };
+  }
+
+  if (room.selected.some(Boolean)) return { type: "keep" };
+
+  const options = keepOptions(room, room.rules);
+  if (options.length === 0) return { type: "bank" };
+  return { type: "select", idx: pickKeep(level, room, options).idx };
+}
+
+module.exports = { BOT_LEVELS, planBotMove };
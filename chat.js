@@ -0,0 +1,34 @@
+// chat.js
+// Table chat: message cleaning, a light profanity filter and the emote list.
+// server.js decides who may read and write at each table.
+
+const CHAT_MAX_LENGTH = 200;
+const CHAT_HISTORY = 100;
+
+// Quick-fire emotes, shown floating over the sender's player card
+const EMOTES = {
+  arr: "Arr!",
+  plank: "Walk the plank!",
+  ahoy: "Ahoy, matey!",
+  timbers: "Shiver me timbers!",
+  yoho: "Yo ho ho!",
+  booty: "Show me the booty!"
+};
+
+// Word starts that get masked; "shitty" and "fucking" are caught by the stem
+const BLOCKED = ["fuck", "shit", "cunt", "bitch", "asshole", "bastard", "slut", "whore", "wank", "twat", "bollock"];
+const BLOCKED_RE = new RegExp(`\\b(${BLOCKED.join("|")})[a-z]*`, "gi");
+
+function maskProfanity(text) {
+  return text.replace(BLOCKED_RE, word => "*".repeat(word.length));
+}
+
+// Chat text as it will be shown: single line, trimmed, capped and filtered.
+// Returns "" when there's nothing left to send.
+function cleanMessage(text) {
+  if (typeof text !== "string") return "";
+  const line = text.replace(/[\u0000-\u001f\u007f]/g, " ").replace(/\s+/g, " ").trim();
+  return maskProfanity(line.slice(0, CHAT_MAX_LENGTH));
+}
+
+module.exports = { CHAT_MAX_LENGTH, CHAT_HISTORY, EMOTES, maskProfanity, cleanMessage };
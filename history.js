@@ -0,0 +1,139 @@
+// history.js
+// Player profiles and finished games. Every game that ends is saved with its
+// players, final scores, turns and duration, and updates each profile's
+// record: games, wins, best single turn and an Elo-style rating.
+// Profiles and games each live in a store from store.js, keyed by `id`.
+const crypto = require("crypto");
+
+const START_RATING = 1200;
+const RATING_K = 32;
+
+/**
+ * Profile shape:
+ * { id, name, bot?, createdAt, games, wins, bestTurn, rating }
+ *
+ * Game record shape:
+ * {
+ *   id, code, game, rules, startedAt, finishedAt, durationMs, turns,
+ *   winner: profileId,
+ *   players: [{ profileId, name, seat, score, bestTurn, left }]  // left: quit or forfeited
+ * }
+ */
+
+// Finishing order: the winner, then by score; players who left come last
+function placings(players, winner) {
+  const rank = (p) => (p.profileId === winner ? 2 : p.left ? 0 : 1);
+  return players.slice().sort((a, b) => rank(b) - rank(a) || b.score - a.score);
+}
+
+/**
+ * Elo over every pair of players: each pair is one "match" the better placed
+ * player won (a draw on equal scores). K is split across the opponents so a
+ * six-player game moves ratings about as much as a heads-up one.
+ * Returns { profileId: change }.
+ */
+function ratingChanges(players, winner, ratings) {
+  const order = placings(players, winner);
+  const place = new Map(order.map((p, i) => [p.profileId, i]));
+  const k = RATING_K / Math.max(1, players.length - 1);
+  const changes = {};
+
+  players.forEach(a => {
+    changes[a.profileId] = 0;
+    players.forEach(b => {
+      if (a.profileId === b.profileId) return;
+      const expected = 1 / (1 + 10 ** ((ratings[b.profileId] - ratings[a.profileId]) / 400));
+      const tie = !a.left && !b.left && a.profileId !== winner && b.profileId !== winner && a.score === b.score;
+      const actual = tie ? 0.5 : place.get(a.profileId) < place.get(b.profileId) ? 1 : 0;
+      changes[a.profileId] += k * (actual - expected);
+    });
+  });
+  return changes;
+}
+
+function createHistory(profileStore, gameStore) {
+  const profiles = new Map(profileStore.load().map(p => [p.id, p]));
+  const games = gameStore.load().sort((a, b) => a.finishedAt - b.finishedAt);
+
+  // Create the profile on first sight; later names overwrite earlier ones
+  function ensureProfile(id, name, bot = null) {
+    let profile = profiles.get(id);
+    if (!profile) {
+      profile = { id, name, createdAt: Date.now(), games: 0, wins: 0, bestTurn: 0, rating: START_RATING };
+      if (bot) profile.bot = bot;
+      profiles.set(id, profile);
+    }
+    if (name && profile.name !== name) profile.name = name;
+    profileStore.save(profile);
+    return profile;
+  }
+
+  // Save a finished game and update everyone's record. Players sharing a
+  // profile (two tabs, one browser) only count once.
+  function recordGame(game) {
+    const seen = new Set();
+    const players = game.players.filter(p => p.profileId && !seen.has(p.profileId) && seen.add(p.profileId));
+    const record = { id: crypto.randomBytes(8).toString("hex"), ...game, players };
+
+    const ratings = {};
+    players.forEach(p => (ratings[p.profileId] = ensureProfile(p.profileId, p.name).rating));
+    const changes = players.length > 1 ? ratingChanges(players, game.winner, ratings) : {};
+
+    players.forEach(p => {
+      const profile = profiles.get(p.profileId);
+      profile.games += 1;
+      if (p.profileId === game.winner) profile.wins += 1;
+      profile.bestTurn = Math.max(profile.bestTurn, p.bestTurn);
+      profile.rating = Math.round(profile.rating + (changes[p.profileId] || 0));
+      p.ratingAfter = profile.rating;
+      profileStore.save(profile);
+    });
+
+    games.push(record);
+    gameStore.save(record);
+    return record;
+  }
+
+  function publicProfile(p) {
+    return {
+      id: p.id,
+      name: p.name,
+      bot: p.bot || null,
+      games: p.games,
+      wins: p.wins,
+      winRate: p.games ? p.wins / p.games : 0,
+      bestTurn: p.bestTurn,
+      rating: p.rating
+    };
+  }
+
+  return {
+    ensureProfile,
+    recordGame,
+
+    // { profile, games } newest first, or null for an unknown id
+    playerHistory(id, limit = 50) {
+      const profile = profiles.get(id);
+      if (!profile) return null;
+      const mine = games.filter(g => g.players.some(p => p.profileId === id));
+      return { profile: publicProfile(profile), games: mine.slice(-limit).reverse() };
+    },
+
+    // Profiles with at least one finished game, best first by `sort`
+    leaderboard(sort = "rating", limit = 50) {
+      const field = ["rating", "wins", "winRate", "bestTurn"].includes(sort) ? sort : "rating";
+      return Array.from(profiles.values())
+        .filter(p => p.games > 0)
+        .map(publicProfile)
+        .sort((a, b) => b[field] - a[field] || b.rating - a.rating)
+        .slice(0, limit);
+    },
+
+    flush() {
+      profileStore.flush();
+      gameStore.flush();
+    }
+  };
+}
+
+module.exports = { START_RATING, ratingChanges, createHistory };
@@ -0,0 +1,71 @@
+// lobby.js
+// The public lobby and the quick-match queue. Public tables with a free seat
+// are listed for anyone to join; quick match pairs up players waiting for the
+// same rules and server.js seats them at a fresh table.
+
+// What the lobby shows for a table, or null when it isn't listed: private,
+// locked, finished, full, or nobody left sitting at it
+function lobbyEntry(room) {
+  if (!room.public || room.tableLocked || room.phase === "gameover") return null;
+  const filled = room.players.filter(p => p.clientId).length;
+  if (filled === 0 || filled === room.players.length) return null;
+
+  const host = room.host === null ? null : room.players[room.host];
+  return {
+    code: room.code,
+    host: host ? host.name : null,
+    phase: room.phase,
+    seats: { filled, total: room.players.length },
+    spectators: room.spectators.length,
+    turnSeconds: room.turnSeconds,
+    rules: room.rules
+  };
+}
+
+// Listed tables, the ones closest to starting first
+function lobbyListing(rooms) {
+  return Array.from(rooms)
+    .map(room => ({ room, entry: lobbyEntry(room) }))
+    .filter(r => r.entry)
+    .sort((a, b) =>
+      (a.entry.seats.total - a.entry.seats.filled) - (b.entry.seats.total - b.entry.seats.filled) ||
+      b.room.updatedAt - a.room.updatedAt)
+    .map(r => r.entry);
+}
+
+/**
+ * Players waiting for a quick match, oldest first. Entries are
+ * { id, preset, ... }; `id` is whatever identifies the player (a socket id).
+ */
+function createMatchQueue() {
+  let waiting = [];
+
+  return {
+    // Queue a player. Returns [opponent, entry] as soon as someone is already
+    // waiting for the same preset, otherwise null. Joining twice re-queues.
+    join(entry) {
+      waiting = waiting.filter(w => w.id !== entry.id);
+      const opponent = waiting.find(w => w.preset === entry.preset);
+      if (!opponent) {
+        waiting.push(entry);
+        return null;
+      }
+      waiting = waiting.filter(w => w !== opponent);
+      return [opponent, entry];
+    },
+
+    // True if the player was waiting
+    leave(id) {
+      const before = waiting.length;
+      waiting = waiting.filter(w => w.id !== id);
+      return waiting.length !== before;
+    },
+
+    has: (id) => waiting.some(w => w.id === id),
+
+    // How many are waiting, for one preset or all of them
+    size: (preset) => waiting.filter(w => preset === undefined || w.preset === preset).length
+  };
+}
+
+module.exports = { lobbyEntry, lobbyListing, createMatchQueue };
@@ -0,0 +1,104 @@
+// metrics.js
+// Counters, gauges and summaries for GET /metrics, written out in the
+// Prometheus text format. server.js counts things as they happen; gauges are
+// read from a callback each time the endpoint is scraped.
+
+/**
+ * Samples are keyed by their labels, e.g. { event: "turn:roll" }. A summary
+ * keeps only a running sum and count (no quantiles) and has no labels.
+ */
+
+const NAME_RE = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const names = Object.keys(labels);
+  if (!names.length) return "";
+  return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function createMetrics() {
+  const families = [];
+
+  function define(name, type, help) {
+    if (!NAME_RE.test(name)) throw new Error(`Bad metric name: ${name}`);
+    if (families.some(f => f.name === name)) throw new Error(`Metric ${name} is already defined`);
+    const family = { name, type, help, samples: new Map(), collect: null };
+    families.push(family);
+    return family;
+  }
+
+  function sample(family, labels) {
+    const key = labelText(labels);
+    if (!family.samples.has(key)) family.samples.set(key, { labels: key, value: 0, sum: 0, count: 0 });
+    return family.samples.get(key);
+  }
+
+  return {
+    // Only ever goes up; Prometheus works out rates from it. Without labels
+    // it reads 0 until the first inc; labelled samples appear as they're used.
+    counter(name, help, labelled = false) {
+      const family = define(name, "counter", help);
+      if (!labelled) sample(family, {});
+      return {
+        inc(labels = {}, by = 1) {
+          sample(family, labels).value += by;
+        }
+      };
+    },
+
+    // A value read at scrape time: `collect()` returns a number, or
+    // [{ labels, value }] for one sample per label set
+    gauge(name, help, collect) {
+      define(name, "gauge", help).collect = collect;
+    },
+
+    // Running sum and count of observations, e.g. game lengths
+    summary(name, help) {
+      const family = define(name, "summary", help);
+      const s = sample(family, {});
+      return {
+        observe(value) {
+          s.sum += value;
+          s.count += 1;
+        },
+        // Mean of everything observed so far, or 0 before the first one
+        average: () => (s.count ? s.sum / s.count : 0)
+      };
+    },
+
+    // Everything, in the text exposition format
+    render() {
+      const lines = [];
+      families.forEach(f => {
+        lines.push(`# HELP ${f.name} ${f.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+        lines.push(`# TYPE ${f.name} ${f.type}`);
+        if (f.collect) {
+          const found = f.collect();
+          const samples = Array.isArray(found) ? found : [{ labels: {}, value: found }];
+          samples.forEach(s => lines.push(`${f.name}${labelText(s.labels || {})} ${formatValue(s.value)}`));
+        } else if (f.type === "summary") {
+          f.samples.forEach(s => {
+            lines.push(`${f.name}_sum${s.labels} ${formatValue(s.sum)}`);
+            lines.push(`${f.name}_count${s.labels} ${s.count}`);
+          });
+        } else {
+          f.samples.forEach(s => lines.push(`${f.name}${s.labels} ${formatValue(s.value)}`));
+        }
+      });
+      return lines.join("\n") + "\n";
+    }
+  };
+}
+
+module.exports = { createMetrics };
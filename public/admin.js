@@ -0,0 +1,141 @@
+// public/admin.js
+// Live tables from /admin/rooms, with a button to close a stuck one. The
+// password stays in sessionStorage and goes along as a bearer token.
+const $ = (id) => document.getElementById(id);
+
+const signInPanel = $("signInPanel");
+const signInForm = $("signInForm");
+const passwordInput = $("passwordInput");
+const signInError = $("signInError");
+const signOutLink = $("signOutLink");
+const roomsPanel = $("roomsPanel");
+const roomsSummary = $("roomsSummary");
+const roomsBody = $("roomsBody");
+const roomsEmpty = $("roomsEmpty");
+const rawState = $("rawState");
+
+const PASSWORD_KEY = "pirateFarkleAdmin";
+const REFRESH_MS = 5000;
+
+let password = sessionStorage.getItem(PASSWORD_KEY);
+let refreshTimer = null;
+let shownCode = null;
+
+function ago(at) {
+  const s = Math.round((Date.now() - at) / 1000);
+  if (s < 60) return `${s}s ago`;
+  if (s < 3600) return `${Math.round(s / 60)} min ago`;
+  return `${Math.round(s / 3600)} h ago`;
+}
+
+function cell(row, text) {
+  const td = document.createElement("td");
+  td.textContent = text;
+  row.appendChild(td);
+  return td;
+}
+
+async function adminFetch(url, options = {}) {
+  const res = await fetch(url, { ...options, headers: { Authorization: `Bearer ${password}` } });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(body.error || `HTTP ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  return body;
+}
+
+function signedIn(yes) {
+  signInPanel.classList.toggle("hidden", yes);
+  roomsPanel.classList.toggle("hidden", !yes);
+  signOutLink.classList.toggle("hidden", !yes);
+  clearInterval(refreshTimer);
+  if (yes) refreshTimer = setInterval(() => loadRooms(), REFRESH_MS);
+}
+
+function signOut(msg = "") {
+  password = null;
+  sessionStorage.removeItem(PASSWORD_KEY);
+  signInError.textContent = msg;
+  signedIn(false);
+}
+
+function renderRooms(rooms) {
+  roomsBody.innerHTML = "";
+  roomsEmpty.classList.toggle("hidden", rooms.length > 0);
+  const playing = rooms.filter(r => r.state.phase === "turn").length;
+  roomsSummary.textContent = `${rooms.length} open · ${playing} playing · updated ${new Date().toLocaleTimeString()}`;
+
+  rooms.forEach(({ updatedAt, state }) => {
+    const row = document.createElement("tr");
+    if (state.code === shownCode) row.className = "mine";
+
+    const code = cell(row, "");
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = state.code;
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      shownCode = state.code;
+      rawState.textContent = JSON.stringify(state, null, 2);
+      rawState.parentElement.open = true;
+    });
+    code.appendChild(link);
+
+    cell(row, state.phase);
+    cell(row, state.players
+      .filter(p => p.seated)
+      .map(p => `${p.name} ${p.score}` + (p.bot ? " (AI)" : p.online ? "" : " (away)"))
+      .join(" · ") || "—");
+    cell(row, String(state.spectators));
+    cell(row, [state.rules.label, state.public && "public", state.hotseat && "pass and play", state.tournament && `tournament ${state.tournament.code}`]
+      .filter(Boolean).join(" · "));
+    cell(row, ago(updatedAt));
+
+    const close = document.createElement("button");
+    close.className = "btn small danger";
+    close.textContent = "Close";
+    close.addEventListener("click", () => closeRoom(state.code));
+    cell(row, "").appendChild(close);
+
+    roomsBody.appendChild(row);
+    if (state.code === shownCode) rawState.textContent = JSON.stringify(state, null, 2);
+  });
+}
+
+async function loadRooms() {
+  try {
+    renderRooms(await adminFetch("/admin/rooms"));
+    if (roomsPanel.classList.contains("hidden")) signedIn(true);
+  } catch (err) {
+    if (err.status === 401 || err.status === 404) signOut(err.message);
+    else roomsSummary.textContent = `Couldn't load tables: ${err.message}`;
+  }
+}
+
+async function closeRoom(code) {
+  if (!confirm(`Close table ${code}? Everyone at it is sent away.`)) return;
+  try {
+    await adminFetch(`/admin/rooms/${encodeURIComponent(code)}/close`, { method: "POST" });
+  } catch (err) {
+    alert(`Couldn't close ${code}: ${err.message}`);
+  }
+  loadRooms();
+}
+
+signInForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  password = passwordInput.value;
+  passwordInput.value = "";
+  sessionStorage.setItem(PASSWORD_KEY, password);
+  signInError.textContent = "";
+  loadRooms();
+});
+
+signOutLink.addEventListener("click", (e) => {
+  e.preventDefault();
+  signOut();
+});
+
+if (password) loadRooms();
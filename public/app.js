@@ -6,31 +6,116 @@ const $ = (id) => document.getElementById(id);
 const connPill = $("connPill");
 
 const joinBox = $("joinBox");
+const embedNote = $("embedNote");
 const tableBox = $("tableBox");
 
 const nameInput = $("nameInput");
+const statsLink = $("statsLink");
 const roomInput = $("roomInput");
 
+const seatsSelect = $("seatsSelect");
+const presetSelect = $("presetSelect");
+const lastChanceInput = $("lastChanceInput");
+const openingSelect = $("openingSelect");
+const penaltySelect = $("penaltySelect");
+const piggybackInput = $("piggybackInput");
+const turnClockSelect = $("turnClockSelect");
+const aiLevelSelect = $("aiLevelSelect");
+const publicInput = $("publicInput");
+const bestOfSelect = $("bestOfSelect");
+const hotseatInput = $("hotseatInput");
+const hotseatBtn = $("hotseatBtn");
+
+const matchBtn = $("matchBtn");
+const matchCancelBtn = $("matchCancelBtn");
+const matchStatus = $("matchStatus");
+const lobbyList = $("lobbyList");
+
 const createBtn = $("createBtn");
+const aiBtn = $("aiBtn");
 const joinBtn = $("joinBtn");
 const newGameBtn = $("newGameBtn");
+const leaveBtn = $("leaveBtn");
+const sitBtn = $("sitBtn");
+const forfeitBtn = $("forfeitBtn");
 
 const codeValue = $("codeValue");
+const rulesLine = $("rulesLine");
+const spectatorLine = $("spectatorLine");
+const fairLine = $("fairLine");
 
-const p0Name = $("p0Name"), p0Score = $("p0Score"), p0Meta = $("p0Meta");
-const p1Name = $("p1Name"), p1Score = $("p1Score"), p1Meta = $("p1Meta");
+const playersGrid = $("playersGrid");
+const emoteLayer = $("emoteLayer");
+
+const chatBox = $("chatBox");
+const chatLog = $("chatLog");
+const chatNote = $("chatNote");
+const chatForm = $("chatForm");
+const chatInput = $("chatInput");
+const emoteRow = $("emoteRow");
+const spectatorChatToggle = $("spectatorChatToggle");
+const spectatorChatInput = $("spectatorChatInput");
 
 const turnPointsEl = $("turnPoints");
 const keepDetail = $("keepDetail");
 const turnTag = $("turnTag");
 const turnHint = $("turnHint");
+const clockLine = $("clockLine");
 
 const diceGrid = $("diceGrid");
 const rollBtn = $("rollBtn");
 const keepBtn = $("keepBtn");
 const bankBtn = $("bankBtn");
 
+const advisorBox = $("advisorBox");
+const previewLine = $("previewLine");
+const oddsLine = $("oddsLine");
+const suggestBtn = $("suggestBtn");
+const potBtn = $("potBtn");
+const soundInput = $("soundInput");
+const motionInput = $("motionInput");
+
 const logEl = $("log");
+const replayBtn = $("replayBtn");
+const verifyBtn = $("verifyBtn");
+const logDownload = $("logDownload");
+
+const tournamentBox = $("tournamentBox");
+const tournamentCode = $("tournamentCode");
+const tournamentStatus = $("tournamentStatus");
+const tournamentEntrants = $("tournamentEntrants");
+const bracketEl = $("bracket");
+const tournamentCreateBtn = $("tournamentCreateBtn");
+const tournamentJoinBtn = $("tournamentJoinBtn");
+const tournamentStartBtn = $("tournamentStartBtn");
+const tournamentPlayBtn = $("tournamentPlayBtn");
+const tournamentLeaveBtn = $("tournamentLeaveBtn");
+
+const hostBox = $("hostBox");
+const lockInput = $("lockInput");
+const hostRules = $("hostRules");
+const hostRulesNote = $("hostRulesNote");
+const editPreset = $("editPreset");
+const editOpening = $("editOpening");
+const editPenalty = $("editPenalty");
+const editClock = $("editClock");
+const editBestOf = $("editBestOf");
+const editLastChance = $("editLastChance");
+const editPiggyback = $("editPiggyback");
+const editRulesBtn = $("editRulesBtn");
+
+const passOverlay = $("passOverlay");
+const passTitle = $("passTitle");
+const passBody = $("passBody");
+const passReadyBtn = $("passReadyBtn");
+
+const replayOverlay = $("replayOverlay");
+const replayTitle = $("replayTitle");
+const replaySteps = $("replaySteps");
+const replayScores = $("replayScores");
+const replayPrevBtn = $("replayPrevBtn");
+const replayNextBtn = $("replayNextBtn");
+const replayCloseBtn = $("replayCloseBtn");
 
 const modalOverlay = $("modalOverlay");
 const modalTitle = $("modalTitle");
@@ -38,55 +123,259 @@ const modalBody = $("modalBody");
 const modalOkBtn = $("modalOkBtn");
 
 const toastEl = $("toast");
+const announcer = $("announcer");
 
-// --- per-tab identity (THIS prevents your tab-vs-private tab collision)
-function getClientId() {
-  const key = "pirateFarkleClientId";
-  let id = sessionStorage.getItem(key);
-  if (!id) {
-    id = (crypto?.randomUUID?.() || Math.random().toString(16).slice(2) + Date.now().toString(16));
-    sessionStorage.setItem(key, id);
-  }
-  return id;
-}
-const clientId = getClientId();
-
-// Persist room + seat per tab
+// Persist room + seat per tab ("spectator" when watching). The seat token is
+// the server's signed proof that this tab owns the seat; it's all a reconnect needs.
 let roomCode = sessionStorage.getItem("pirateFarkleRoom") || null;
 let mySeat = sessionStorage.getItem("pirateFarkleSeat");
-mySeat = mySeat === null ? null : Number(mySeat);
+let seatToken = sessionStorage.getItem("pirateFarkleToken");
+let spectating = mySeat === "spectator";
+mySeat = mySeat === null || spectating ? null : Number(mySeat);
 
-function setJoined(code, seat) {
+function setJoined(code, seat, token) {
   roomCode = code;
   mySeat = seat;
+  seatToken = token || null;
+  spectating = seat === null;
   sessionStorage.setItem("pirateFarkleRoom", code);
-  sessionStorage.setItem("pirateFarkleSeat", String(seat));
+  sessionStorage.setItem("pirateFarkleSeat", spectating ? "spectator" : String(seat));
+  if (seatToken) sessionStorage.setItem("pirateFarkleToken", seatToken);
+  else sessionStorage.removeItem("pirateFarkleToken");
 }
 
 function clearJoined() {
   roomCode = null;
   mySeat = null;
+  seatToken = null;
+  spectating = false;
   sessionStorage.removeItem("pirateFarkleRoom");
   sessionStorage.removeItem("pirateFarkleSeat");
+  sessionStorage.removeItem("pirateFarkleToken");
+}
+
+// Tournament this tab is in ({ code, token }); the token brings back our
+// place in the bracket the way a seat token brings back a seat
+let tournament = JSON.parse(sessionStorage.getItem("pirateFarkleTournament") || "null");
+let myEntrant = null;
+let myMatch = null; // { code, seat, token } of the match table waiting for us
+
+function setTournament(t) {
+  tournament = t;
+  if (t) sessionStorage.setItem("pirateFarkleTournament", JSON.stringify(t));
+  else sessionStorage.removeItem("pirateFarkleTournament");
 }
 
-function log(msg) {
-  const line = `[${new Date().toLocaleTimeString()}] ${msg}\n`;
+// Long-lived profile ({ id, name, token }) across tabs and visits: it's what
+// match history and the leaderboard are keyed on
+let profile = JSON.parse(localStorage.getItem("pirateFarkleProfile") || "null");
+if (profile && profile.name) nameInput.value = profile.name;
+statsLink.href = profile ? `stats.html?player=${encodeURIComponent(profile.id)}` : "stats.html";
+
+function log(msg, at = Date.now()) {
+  const line = `[${new Date(at).toLocaleTimeString()}] ${msg}\n`;
   logEl.textContent = line + logEl.textContent;
 }
 
+// --- Server event log (every roll, keep, bank... at this table)
+let gameLog = [];
+
+function describeEvent(e) {
+  switch (e.type) {
+    case "gameStart": return `Game ${e.game} started: ${e.players.map(p => p.name).join(" vs ")} (${e.rules}).`;
+    case "roll": return `${e.name} rolled ${e.rolled.join(" ")}.`;
+    case "keep": return `${e.name} kept ${e.dice.join(" ")} for ${e.points}.`;
+    case "hotDice": return `${e.name} has hot dice!`;
+    case "farkle": return `${e.name} farkled` + (e.lost ? ` and lost ${e.lost}.` : ".");
+    case "farklePenalty": return `${e.name}'s third farkle in a row costs ${e.points} (total ${e.score}).`;
+    case "potTaken": return `${e.name} stole the pot of ${e.points}.`;
+    case "bank": return `${e.name} banked ${e.points} (total ${e.score}).`;
+    case "finalRound": return `${e.name} reached ${e.score}. Last chance for everyone else!`;
+    case "gameOver": return `Game over: ${e.name} wins.`;
+    case "seriesWin": return `${e.name} wins the best-of-${e.bestOf} series with ${e.wins} games.`;
+    case "timeUp": return `${e.name} ran out of time.`;
+    case "left": return `${e.name} left the table.`;
+    case "forfeit": return `${e.name} forfeited after going missing.`;
+    case "seedReveal": return `Dice seed revealed: ${e.seed.slice(0, 16)}…`;
+    default: return e.type;
+  }
+}
+
+function refreshLogControls() {
+  replayBtn.disabled = !gameLog.some(e => e.type === "gameOver");
+  verifyBtn.disabled = !gameLog.some(e => e.type === "seedReveal");
+  logDownload.classList.toggle("hidden", !roomCode);
+  if (roomCode) logDownload.href = `/rooms/${roomCode}/log.json`;
+}
+
+// --- Replay: the last finished game, split into turns
+let replayTurns = [];
+let replayIdx = 0;
+
+function buildReplay(events) {
+  const over = events.filter(e => e.type === "gameOver").pop();
+  if (!over) return [];
+  const game = events.filter(e => e.game === over.game);
+  const start = game.find(e => e.type === "gameStart");
+  const scores = new Map((start ? start.players : []).map(p => [p.seat, { name: p.name, score: 0 }]));
+
+  const scoreLines = () => Array.from(scores.values()).map(p => `${p.name}: ${p.score}`);
+
+  const turns = [];
+  let turn = null;
+  game.forEach((e, i) => {
+    if (e.type === "gameStart") return;
+    // Both carry the player's new total
+    if ((e.type === "bank" || e.type === "farklePenalty") && scores.has(e.seat)) scores.get(e.seat).score = e.score;
+    // A farkle penalty, final-round and game-over news belong to the turn that caused them
+    if ((e.type === "farklePenalty" || e.type === "finalRound" || e.type === "gameOver") && turns.length) {
+      const last = turns[turns.length - 1];
+      last.lines.push(describeEvent(e));
+      last.scores = scoreLines();
+      return;
+    }
+    if (!turn) turn = { name: e.name, lines: [] };
+    turn.lines.push(describeEvent(e));
+    // Running out of time ends the turn unless the kept points get banked next
+    const timedOut = e.type === "timeUp" && !(game[i + 1] && game[i + 1].type === "bank");
+    if (e.type === "bank" || e.type === "farkle" || e.type === "left" || e.type === "forfeit" || timedOut) {
+      turn.scores = scoreLines();
+      turns.push(turn);
+      turn = null;
+    }
+  });
+  return turns;
+}
+
+function showReplayTurn() {
+  const turn = replayTurns[replayIdx];
+  replayTitle.textContent = `Turn ${replayIdx + 1} of ${replayTurns.length} · ${turn.name}`;
+  replaySteps.textContent = turn.lines.join("\n");
+  replayScores.textContent = turn.scores.join("\n");
+  replayPrevBtn.disabled = replayIdx === 0;
+  replayNextBtn.disabled = replayIdx === replayTurns.length - 1;
+}
+
+replayBtn.addEventListener("click", () => {
+  replayTurns = buildReplay(gameLog);
+  if (!replayTurns.length) return showToast("No finished game to replay yet.");
+  replayIdx = 0;
+  showReplayTurn();
+  replayOverlay.classList.remove("hidden");
+});
+
+replayPrevBtn.addEventListener("click", () => { replayIdx--; showReplayTurn(); });
+replayNextBtn.addEventListener("click", () => { replayIdx++; showReplayTurn(); });
+replayCloseBtn.addEventListener("click", () => replayOverlay.classList.add("hidden"));
+
+// --- Provably fair dice: same derivation as rng.js on the server.
+// Die `draw` = first byte of HMAC-SHA256(seed, String(draw)) below 252, mod 6, plus 1.
+const textBytes = (str) => new TextEncoder().encode(str);
+const toHex = (buf) => Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, "0")).join("");
+
+async function verifyLastGame() {
+  const reveal = gameLog.filter(e => e.type === "seedReveal").pop();
+  const start = gameLog.find(e => e.type === "gameStart" && e.game === reveal.game);
+  const rolls = gameLog.filter(e => e.type === "roll" && e.game === reveal.game);
+  if (!crypto.subtle) return showModal("Can't verify", "This browser has no Web Crypto here (needs https).");
+
+  const hash = toHex(await crypto.subtle.digest("SHA-256", textBytes(reveal.seed)));
+  if (!start || hash !== start.seedHash) {
+    return showModal("Dice NOT verified", "The revealed seed doesn't match the hash published at the start of the game.");
+  }
+
+  const key = await crypto.subtle.importKey("raw", textBytes(reveal.seed), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const dieAt = async (draw) => {
+    const digest = new Uint8Array(await crypto.subtle.sign("HMAC", key, textBytes(String(draw))));
+    const b = digest.find(x => x < 252);
+    return 1 + ((b === undefined ? digest[0] : b) % 6);
+  };
+
+  // Draws have to follow on from each other: a gap means dice were thrown away
+  let next = 0;
+  for (const roll of rolls) {
+    if (roll.draw !== next) {
+      return showModal("Dice NOT verified", `${roll.name}'s roll of ${roll.rolled.join(" ")} doesn't follow on from the dice before it.`);
+    }
+    next = roll.draw + roll.rolled.length;
+    for (let i = 0; i < roll.rolled.length; i++) {
+      if (await dieAt(roll.draw + i) !== roll.rolled[i]) {
+        return showModal("Dice NOT verified", `${roll.name}'s roll of ${roll.rolled.join(" ")} doesn't match the seed.`);
+      }
+    }
+  }
+  showModal("Dice verified ✔", `All ${rolls.length} rolls in game ${reveal.game} match the seed committed at the start (sha256 ${hash.slice(0, 16)}…).`);
+}
+
+verifyBtn.addEventListener("click", () => {
+  verifyLastGame().catch(err => showModal("Can't verify", String(err)));
+});
+
+// --- Screen reader announcements: everything worth hearing goes through one
+// polite live region. Lines arriving together (a roll and its farkle, a bank
+// and the next turn) are read as one.
+let announcing = [];
+
+function announce(msg) {
+  announcing.push(msg);
+  if (announcing.length > 1) return;
+  announcer.textContent = "";
+  setTimeout(() => {
+    announcer.textContent = announcing.join(" ");
+    announcing = [];
+  }, 100);
+}
+
 function showToast(msg) {
   toastEl.textContent = msg;
   toastEl.classList.remove("hidden");
   setTimeout(() => toastEl.classList.add("hidden"), 1800);
+  announce(msg);
 }
 
+// The modal is a dialog: focus goes to OK and comes back after
+let focusBeforeModal = null;
+
 function showModal(title, body) {
   modalTitle.textContent = title;
   modalBody.textContent = body;
+  if (modalOverlay.classList.contains("hidden")) focusBeforeModal = document.activeElement;
   modalOverlay.classList.remove("hidden");
+  modalOkBtn.focus();
+}
+modalOkBtn.addEventListener("click", () => {
+  modalOverlay.classList.add("hidden");
+  if (focusBeforeModal && document.contains(focusBeforeModal)) focusBeforeModal.focus();
+  focusBeforeModal = null;
+});
+
+// --- Turn clock and forfeit countdowns
+// The server sends times as "ms from now"; they become local deadlines here.
+let clockEndsAt = null;
+let forfeitAt = null; // when the longest-missing player can be forfeited
+
+function formatSeconds(ms) {
+  const s = Math.ceil(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function renderTimers() {
+  const now = Date.now();
+  clockLine.classList.toggle("hidden", clockEndsAt === null);
+  if (clockEndsAt !== null) {
+    const left = Math.max(0, clockEndsAt - now);
+    clockLine.textContent = `⏳ ${formatSeconds(left)} left`;
+    clockLine.classList.toggle("urgent", left <= 10000);
+  }
+
+  forfeitBtn.classList.toggle("hidden", forfeitAt === null);
+  if (forfeitAt !== null) {
+    const wait = forfeitAt - now;
+    forfeitBtn.disabled = wait > 0;
+    forfeitBtn.textContent = wait > 0 ? `Claim forfeit in ${formatSeconds(wait)}` : "Claim forfeit win";
+  }
 }
-modalOkBtn.addEventListener("click", () => modalOverlay.classList.add("hidden"));
+setInterval(renderTimers, 1000);
 
 function setConnected(isConnected) {
   connPill.textContent = isConnected ? "Connected" : "Disconnected";
@@ -95,121 +384,963 @@ function setConnected(isConnected) {
 
 function setUIJoined(joined) {
   joinBox.classList.toggle("hidden", joined);
+  embedNote.classList.toggle("hidden", joined);
   tableBox.classList.toggle("hidden", !joined);
 }
 
-function renderDice(dice, held, canSelect) {
-  diceGrid.innerHTML = "";
-  for (let i = 0; i < 6; i++) {
-    const die = document.createElement("div");
-    die.className = "die" + (held[i] ? " held" : "");
-    die.textContent = String(dice[i]);
-    die.addEventListener("click", () => {
-      if (!canSelect) return;
-      socket.emit("turn:toggleHold", { idx: i });
-    });
-    diceGrid.appendChild(die);
+// --- Settings: sound and motion, kept per browser
+const settings = {
+  sound: false,
+  reduceMotion: window.matchMedia("(prefers-reduced-motion: reduce)").matches,
+  ...JSON.parse(localStorage.getItem("pirateFarkleSettings") || "{}")
+};
+
+function applySettings() {
+  soundInput.checked = settings.sound;
+  motionInput.checked = settings.reduceMotion;
+  document.body.classList.toggle("reduceMotion", settings.reduceMotion);
+  localStorage.setItem("pirateFarkleSettings", JSON.stringify(settings));
+}
+applySettings();
+
+soundInput.addEventListener("change", () => {
+  settings.sound = soundInput.checked;
+  applySettings();
+  playSound("roll");
+});
+motionInput.addEventListener("change", () => {
+  settings.reduceMotion = motionInput.checked;
+  applySettings();
+});
+
+// --- Sound effects, made with Web Audio so there's nothing to download.
+// The context starts on the first sound, which always follows a click.
+let audio = null;
+
+function tone(at, freq, length, { type = "square", volume = 0.06, slideTo = null } = {}) {
+  const osc = audio.createOscillator();
+  const gain = audio.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, at);
+  if (slideTo) osc.frequency.exponentialRampToValueAtTime(slideTo, at + length);
+  gain.gain.setValueAtTime(volume, at);
+  gain.gain.exponentialRampToValueAtTime(0.001, at + length);
+  osc.connect(gain).connect(audio.destination);
+  osc.start(at);
+  osc.stop(at + length);
+}
+
+function clack(at) {
+  const length = 0.04;
+  const buffer = audio.createBuffer(1, Math.ceil(audio.sampleRate * length), audio.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = (Math.random() * 2 - 1) * (1 - i / data.length);
+  const src = audio.createBufferSource();
+  const gain = audio.createGain();
+  src.buffer = buffer;
+  gain.gain.value = 0.25;
+  src.connect(gain).connect(audio.destination);
+  src.start(at);
+}
+
+const SOUNDS = {
+  // Dice rattling in a wooden cup
+  roll: (t) => [0, 0.07, 0.12, 0.2, 0.26, 0.35, 0.41].forEach(d => clack(t + d)),
+  // A sad trombone
+  farkle: (t) => [392, 370, 349].forEach((f, i) =>
+    tone(t + i * 0.28, f, i === 2 ? 0.7 : 0.26, { type: "sawtooth", slideTo: i === 2 ? 262 : null })),
+  // Quick rising call
+  hotDice: (t) => [523, 659, 784, 1047].forEach((f, i) => tone(t + i * 0.07, f, 0.12)),
+  // Hornpipe flourish
+  win: (t) => [392, 523, 659, 784, 659, 784, 1047].forEach((f, i) =>
+    tone(t + i * 0.13, f, i === 6 ? 0.6 : 0.14, { type: "triangle", volume: 0.12 }))
+};
+
+function playSound(name, delayMs = 0) {
+  if (!settings.sound || !window.AudioContext) return;
+  audio = audio || new AudioContext();
+  if (audio.state === "suspended") audio.resume();
+  SOUNDS[name](audio.currentTime + delayMs / 1000);
+}
+
+const EVENT_SOUNDS = { roll: "roll", farkle: "farkle", hotDice: "hotDice", gameOver: "win" };
+
+// --- Dice: pips on a 3x3 grid. The six dice are built once and updated in
+// place; dice that were just rolled tumble, the ones set aside stay still.
+const PIPS = { 1: [4], 2: [0, 8], 3: [0, 4, 8], 4: [0, 2, 6, 8], 5: [0, 2, 4, 6, 8], 6: [0, 2, 3, 5, 6, 8] };
+const ROLL_MS = 650;
+const diceEls = [];
+let onDieClick = () => {};
+let rollingDice = null; // [bool x6]: dice in the roll that just came in
+
+function showFace(die, value) {
+  Array.from(die.children).forEach((cell, c) => {
+    cell.className = PIPS[value] && PIPS[value].includes(c) ? "pip" : "";
+  });
+}
+
+// Flick through random faces until the roll lands
+function tumble(die) {
+  clearInterval(die.tumbleTimer);
+  die.tumbleTimer = setInterval(() => {
+    if (Date.now() < die.rollingUntil) return showFace(die, 1 + Math.floor(Math.random() * 6));
+    clearInterval(die.tumbleTimer);
+    showFace(die, die.value);
+  }, 80);
+}
+
+function renderDice(dice, locked, selected, canSelect, hinted = []) {
+  if (!diceEls.length) {
+    for (let i = 0; i < 6; i++) {
+      const die = document.createElement("div");
+      die.setAttribute("role", "checkbox");
+      die.tabIndex = 0;
+      for (let c = 0; c < 9; c++) die.appendChild(document.createElement("span"));
+      die.addEventListener("click", () => onDieClick(i));
+      die.addEventListener("keydown", (e) => {
+        if (e.key !== " " && e.key !== "Enter") return;
+        e.preventDefault();
+        onDieClick(i);
+      });
+      diceGrid.appendChild(die);
+      diceEls.push(die);
+    }
+  }
+  onDieClick = (i) => {
+    if (!canSelect || locked[i]) return;
+    socket.emit("turn:toggleHold", { idx: i });
+  };
+
+  const rolled = rollingDice;
+  rollingDice = null;
+  const now = Date.now();
+  diceEls.forEach((die, i) => {
+    die.value = dice[i];
+    if (rolled && rolled[i] && !settings.reduceMotion) {
+      die.rollingUntil = now + ROLL_MS;
+      die.classList.remove("rolling");
+      void die.offsetWidth; // restart the animation
+      tumble(die);
+    }
+    const rolling = die.rollingUntil > now;
+    if (!rolling) showFace(die, dice[i]);
+    die.className = "die" + (locked[i] ? " locked" : selected[i] ? " held" : "") +
+      (hinted.includes(i) ? " suggested" : "") +
+      (canSelect && !locked[i] ? " selectable" : "") +
+      (rolling ? " rolling" : "");
+    die.setAttribute("aria-label", `Die ${i + 1}: ${dice[i]}` + (locked[i] ? ", locked from an earlier keep" : ""));
+    die.setAttribute("aria-checked", String(!!(locked[i] || selected[i])));
+    die.setAttribute("aria-disabled", String(!canSelect || !!locked[i]));
+  });
+}
+
+// --- Move advisor: rules.js and advisor.js are the server's own modules
+// (served under /shared), so previews match what the server will score.
+const { advisor } = window.Farkle;
+let lastState = null;
+let suggestion = null; // { roll, idx } from "Suggest", for the roll it was made on
+
+const percent = (p) => `${Math.round(p * 100)}%`;
+const rollKey = (state) => JSON.stringify([state.activeSeat, state.dice, state.locked]);
+
+function renderAdvisor(state, show) {
+  advisorBox.classList.toggle("hidden", !show);
+  if (!show) return;
+  const rules = state.rules;
+
+  if (state.canRoll) {
+    const n = advisor.diceToRoll(state.locked);
+    previewLine.textContent = state.turnPoints ? `Bank now for ${state.turnPoints}, or roll on.` : "Roll to start.";
+    previewLine.className = "";
+    oddsLine.textContent = `Next roll: ${n} dice · ${percent(advisor.odds(n, rules).farkle)} chance to farkle`;
+    suggestBtn.disabled = true;
+    return;
+  }
+
+  const preview = advisor.selectionPreview(state, rules);
+  if (!preview.dice.length) {
+    previewLine.textContent = "Select dice to see what they score.";
+  } else if (preview.valid) {
+    previewLine.textContent = `Keep ${preview.dice.join(" ")} for ${preview.points} (turn total ${state.turnPoints + preview.points})`;
+  } else {
+    previewLine.textContent = `${preview.dice.join(" ")} doesn't score: every kept die has to count.`;
+  }
+  previewLine.className = preview.dice.length && !preview.valid ? "bad" : "";
+  oddsLine.textContent = `Rolling on after that: ${preview.diceLeft} dice · ` +
+    `${percent(advisor.odds(preview.diceLeft, rules).farkle)} chance to farkle`;
+  suggestBtn.disabled = false;
+}
+
+suggestBtn.addEventListener("click", () => {
+  if (!lastState) return;
+  const best = advisor.bestKeep(lastState, lastState.rules);
+  if (!best) return showToast("Nothing scores in this roll.");
+  suggestion = { roll: rollKey(lastState), idx: best.idx };
+  const value = Math.round(advisor.keepValue(lastState, best, lastState.rules));
+  showToast(`Best keep: ${best.idx.map(i => lastState.dice[i]).join(" ")} for ${best.points} (expected turn ≈ ${value}).`);
+  updateFromState(lastState);
+});
+
+function playerMeta(p, state) {
+  if (!p.seated) return "Open seat";
+  const houseRules = state.rules || {};
+  const parts = [p.bot ? `AI · ${p.bot}` : p.online ? "Online" : "Offline"];
+  if (p.seat === state.host) parts.push("⚓ Host");
+  if (state.series) parts.push(`${p.seriesWins} won`);
+  if ((state.muted || []).includes(p.seat)) parts.push("muted");
+  if (houseRules.openingScore && !p.onBoard) parts.push("not on the board");
+  if (houseRules.farklePenalty && p.farkles) parts.push(`${p.farkles} farkle${p.farkles === 1 ? "" : "s"} in a row`);
+  return parts.join(" · ");
+}
+
+function renderPlayers(state) {
+  playersGrid.innerHTML = "";
+  // One device holds every hot-seat seat, so there's nobody to moderate
+  const amHost = mySeat !== null && mySeat === state.host && !state.hotseat;
+  (state.players || []).forEach(p => {
+    const card = document.createElement("div");
+    card.className = "playerCard" +
+      (state.phase === "turn" && p.seat === state.activeSeat ? " active" : "") +
+      (p.seated ? "" : " empty");
+    card.dataset.seat = String(p.seat);
+
+    const name = document.createElement("div");
+    name.className = "playerName";
+    name.textContent = p.seat === mySeat ? `${p.name} (you)` : p.name;
+
+    const score = document.createElement("div");
+    score.className = "playerScore";
+    score.textContent = String(p.score);
+
+    const meta = document.createElement("div");
+    meta.className = "playerMeta";
+    meta.textContent = playerMeta(p, state);
+
+    card.append(name, score, meta);
+
+    // The host can mute, kick or hand the table to anyone else sitting here
+    if (amHost && p.seated && p.seat !== mySeat) {
+      const actions = document.createElement("div");
+      actions.className = "hostActions";
+      const action = (label, event, payload) => {
+        const btn = document.createElement("button");
+        btn.className = "btn small";
+        btn.textContent = label;
+        btn.addEventListener("click", () => socket.emit(event, { seat: p.seat, ...payload }));
+        actions.appendChild(btn);
+      };
+      if (!p.bot) {
+        const muted = (state.muted || []).includes(p.seat);
+        action(muted ? "Unmute" : "Mute", "chat:mute", { muted: !muted });
+        action("Make host", "host:transfer");
+      }
+      if (!state.tournament) action("Kick", "host:kick");
+      card.appendChild(actions);
+    }
+    playersGrid.appendChild(card);
+  });
+}
+
+// --- Table chat and emotes (emote list shared with the server via /shared/chat.js)
+const { chat: chatRules } = window.Farkle;
+chatInput.maxLength = chatRules.CHAT_MAX_LENGTH;
+
+Object.entries(chatRules.EMOTES).forEach(([key, text]) => {
+  const btn = document.createElement("button");
+  btn.className = "btn small";
+  btn.type = "button";
+  btn.textContent = text;
+  btn.addEventListener("click", () => socket.emit("chat:emote", { emote: key }));
+  emoteRow.appendChild(btn);
+});
+
+function addChatLine(m) {
+  const line = document.createElement("div");
+  line.className = "chatLine";
+  const who = document.createElement("b");
+  who.textContent = `${m.name}: `;
+  line.append(who, document.createTextNode(m.text));
+  line.title = new Date(m.at).toLocaleTimeString();
+  chatLog.appendChild(line);
+  chatLog.scrollTop = chatLog.scrollHeight;
+}
+
+function renderChatAccess(state) {
+  const canRead = !spectating || state.spectatorChat;
+  const muted = mySeat !== null && (state.muted || []).includes(mySeat);
+  chatLog.classList.toggle("hidden", !canRead);
+  chatForm.classList.toggle("hidden", !canRead || muted);
+  emoteRow.classList.toggle("hidden", spectating || muted);
+  chatNote.classList.toggle("hidden", canRead && !muted);
+  chatNote.textContent = muted ? "The host has muted you." : "Chat is for players unless the host opens it to spectators.";
+
+  spectatorChatToggle.classList.toggle("hidden", mySeat === null || mySeat !== state.host);
+  spectatorChatInput.checked = !!state.spectatorChat;
+}
+
+function showEmote(seat, text) {
+  const card = playersGrid.querySelector(`[data-seat="${seat}"]`);
+  if (!card) return;
+  const bubble = document.createElement("div");
+  bubble.className = "emoteBubble";
+  bubble.textContent = text;
+  bubble.style.left = `${card.offsetLeft + card.offsetWidth / 2}px`;
+  bubble.style.top = `${card.offsetTop + 8}px`;
+  emoteLayer.appendChild(bubble);
+  bubble.addEventListener("animationend", () => bubble.remove());
+}
+
+chatForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const text = chatInput.value.trim();
+  if (!text) return;
+  socket.emit("chat:send", { text });
+  chatInput.value = "";
+});
+
+spectatorChatInput.addEventListener("change", () => {
+  socket.emit("chat:settings", { spectatorChat: spectatorChatInput.checked });
+});
+
+// One-line summary of a table's rules, for the table view and the lobby
+function rulesText(r, clockSeconds) {
+  return `${r.label} · First to ${r.targetScore.toLocaleString()}` +
+    (r.lastChance ? " · Last chance round" : "") +
+    (r.openingScore ? ` · ${r.openingScore} to get on the board` : "") +
+    (r.farklePenalty ? ` · Three farkles −${r.farklePenalty}` : "") +
+    (r.piggyback ? " · Piggyback" : "") +
+    (clockSeconds ? ` · ${clockSeconds}s turn clock` : "");
+}
+
+// --- Host controls. The rules editor offers the same choices as the create form.
+[[editPreset, presetSelect], [editOpening, openingSelect], [editPenalty, penaltySelect],
+  [editClock, turnClockSelect], [editBestOf, bestOfSelect]].forEach(([edit, source]) => {
+  edit.innerHTML = source.innerHTML;
+});
+
+let shownRules = null;
+
+function renderHostBox(state) {
+  const amHost = !spectating && (state.hotseat || (mySeat !== null && mySeat === state.host));
+  hostBox.classList.toggle("hidden", !amHost || !!state.tournament);
+  lockInput.checked = !!state.tableLocked;
+
+  const between = state.phase !== "turn";
+  hostRules.classList.toggle("hidden", !between);
+  hostRulesNote.classList.toggle("hidden", between);
+
+  // Refill the editor only when the table's rules change, so a half-made edit survives updates
+  const r = state.rules || {};
+  const key = JSON.stringify([r, state.clock, state.series]);
+  if (key === shownRules) return;
+  shownRules = key;
+  editPreset.value = r.preset;
+  editOpening.value = String(r.openingScore || 0);
+  editPenalty.value = String(r.farklePenalty || 0);
+  editClock.value = String(state.clock ? state.clock.seconds : 0);
+  editBestOf.value = String(state.series ? state.series.bestOf : 1);
+  editLastChance.checked = !!r.lastChance;
+  editPiggyback.checked = !!r.piggyback;
+}
+
+lockInput.addEventListener("change", () => socket.emit("host:lock", { locked: lockInput.checked }));
+
+editRulesBtn.addEventListener("click", () => {
+  socket.emit("host:rules", {
+    preset: editPreset.value,
+    lastChance: editLastChance.checked,
+    openingScore: Number(editOpening.value),
+    farklePenalty: Number(editPenalty.value),
+    piggyback: editPiggyback.checked,
+    turnSeconds: Number(editClock.value),
+    bestOf: Number(editBestOf.value)
+  });
+});
+
+// Pass and play: the device changes hands whenever the turn does
+let handedTo = null;
+
+function renderHandOver(state) {
+  if (!state.hotseat || spectating || state.phase !== "turn") {
+    handedTo = null;
+    passOverlay.classList.add("hidden");
+    return;
   }
+  if (handedTo === state.activeSeat) return;
+  handedTo = state.activeSeat;
+
+  const name = state.players[state.activeSeat].name;
+  passTitle.textContent = `Hand the device to ${name}`;
+  passBody.textContent = `${name}, it's your turn. Press the button once you've got the device.`;
+  passReadyBtn.textContent = `I'm ${name}`;
+  passOverlay.classList.remove("hidden");
+}
+
+passReadyBtn.addEventListener("click", () => passOverlay.classList.add("hidden"));
+
+// Say whose turn it is each time it moves on
+let announcedTurn = null;
+
+function announceTurn(state) {
+  const turn = state.phase === "turn" ? `${state.code}:${state.fair.hash}:${state.activeSeat}` : null;
+  if (turn === announcedTurn) return;
+  announcedTurn = turn;
+  const active = state.players[state.activeSeat];
+  if (!turn || !active) return;
+  announce(state.activeSeat === mySeat && !state.hotseat ? "Your turn." : `${active.name}'s turn.`);
 }
 
 function updateFromState(state) {
+  lastState = state;
+  // At a hot-seat table this device plays whoever is up
+  if (state.hotseat && !spectating) mySeat = state.activeSeat;
+  announceTurn(state);
   // Table
   codeValue.textContent = state.code || "—";
+  const houseRules = state.rules || {};
+  rulesLine.textContent = state.rules
+    ? rulesText(state.rules, state.clock && state.clock.seconds) +
+      (state.series ? ` · Best of ${state.series.bestOf}` : "") +
+      (state.tournament ? ` · Tournament ${state.tournament.code}` : "") +
+      (state.public ? " · Public table" : "") +
+      (state.tableLocked ? " · 🔒 Locked" : "")
+    : "—";
 
   const players = state.players || [];
-  const a = players[0] || { name: "—", score: 0, online: false };
-  const b = players[1] || { name: "—", score: 0, online: false };
+  renderPlayers(state);
+  renderChatAccess(state);
+  renderHostBox(state);
 
-  p0Name.textContent = a.name;
-  p0Score.textContent = a.score;
-  p0Meta.textContent = a.online ? "Online" : "Offline";
+  fairLine.textContent = state.fair ? `Dice seed hash: ${state.fair.hash.slice(0, 16)}…` : "";
 
-  p1Name.textContent = b.name;
-  p1Score.textContent = b.score;
-  p1Meta.textContent = b.online ? "Online" : "Offline";
+  const watching = state.spectators || 0;
+  spectatorLine.textContent = (spectating ? "You are spectating · " : "") +
+    (watching ? `${watching} watching` : "No spectators");
+  sitBtn.classList.toggle("hidden", !(spectating && players.some(p => !p.seated)));
+  newGameBtn.classList.toggle("hidden", spectating);
 
   // Turn / controls
   turnPointsEl.textContent = String(state.turnPoints ?? 0);
 
-  const bothJoined = players.every(p => p && p.name && p.name !== "—");
-
   const isMyTurn = (mySeat !== null) && (state.activeSeat === mySeat) && state.phase === "turn";
   const canRoll = !!state.canRoll;
   const canSelectDice = isMyTurn && !canRoll; // after roll, before keep/bank
-  const canKeep = isMyTurn && !canRoll;       // must have rolled
+  const preview = state.rules && !canRoll ? advisor.selectionPreview(state, state.rules) : null;
+  const canKeep = isMyTurn && !canRoll && !!preview && preview.valid; // a scoring selection
   const canBank = isMyTurn;                   // can bank anytime on your turn
 
-  if (!bothJoined) {
+  if (state.phase === "gameover") {
+    const winner = players[state.winner];
+    turnTag.textContent = "Game over";
+    const who = winner ? winner.name : "Someone";
+    const decided = !state.series || state.series.winner !== null;
+    if (state.tournament && decided) turnHint.textContent = `${who} takes the match. Check the bracket for what's next.`;
+    else if (state.series && !decided) turnHint.textContent = `${who} wins this game. Press New game for the next one in the series.`;
+    else if (state.series) turnHint.textContent = `${who} wins the series! Press New game to start a new one.`;
+    else turnHint.textContent = `${who} wins! Press New game for a rematch.`;
+  } else if (state.phase === "lobby") {
+    const open = players.filter(p => !p.seated).length;
     turnTag.textContent = "Waiting…";
-    turnHint.textContent = "Waiting for both players to join.";
+    turnHint.textContent = `Waiting for ${open} more player${open === 1 ? "" : "s"} to join.`;
   } else if (state.phase !== "turn") {
     turnTag.textContent = "Waiting…";
     turnHint.textContent = "Press New game to start.";
   } else if (isMyTurn) {
-    turnTag.textContent = "Your turn";
-    turnHint.textContent = canRoll ? "Press ROLL." : "Select scoring dice, then KEEP (or BANK).";
+    const me = players[mySeat];
+    const whose = state.hotseat && me ? `${me.name}'s` : "Your";
+    turnTag.textContent = state.finalRound ? `${whose} last chance` : `${whose} turn`;
+    const opening = houseRules.openingScore && me && !me.onBoard
+      ? ` You need ${houseRules.openingScore} this turn to get on the board.`
+      : "";
+    if (state.pot) {
+      const from = players[state.pot.from];
+      turnHint.textContent = `Press ROLL for a fresh turn, or STEAL POT: ${state.pot.points} points ` +
+        `from ${from ? from.name : "the last player"} with ${state.pot.diceLeft} dice to roll.` + opening;
+    } else {
+      turnHint.textContent = (canRoll ? "Press ROLL." : "Select scoring dice, then KEEP (or BANK).") + opening;
+    }
+  } else {
+    const active = players[state.activeSeat];
+    turnTag.textContent = active ? `${active.name}'s turn` : "Opponent's turn";
+    turnHint.textContent = active && active.bot ? `${active.name} is thinking…` : `Waiting for ${active ? active.name : "opponent"}…`;
+  }
+
+  // Clock for whoever's turn it is; forfeit once an opponent has been gone long enough
+  const now = Date.now();
+  const clock = state.phase === "turn" ? state.clock : null;
+  clockEndsAt = clock && clock.remainingMs !== null ? now + clock.remainingMs : null;
+  const missing = mySeat !== null && state.phase === "turn"
+    ? players.filter(p => p.seat !== mySeat && p.forfeitInMs !== null)
+    : [];
+  forfeitAt = missing.length ? now + Math.min(...missing.map(p => p.forfeitInMs)) : null;
+  renderTimers();
+
+  // Rematch handshake: everyone seated has to press New game
+  const rematch = state.rematch || [];
+  if (rematch.includes(mySeat)) {
+    newGameBtn.textContent = "Waiting for rematch…";
+  } else if (rematch.length) {
+    newGameBtn.textContent = "Accept new game";
   } else {
-    turnTag.textContent = "Opponent's turn";
-    turnHint.textContent = "Waiting for opponent…";
+    newGameBtn.textContent = state.phase === "gameover" ? "Rematch" : "New game";
   }
+  newGameBtn.disabled = rematch.includes(mySeat);
 
   rollBtn.disabled = !(isMyTurn && canRoll);
   keepBtn.disabled = !canKeep;
   bankBtn.disabled = !canBank;
+  potBtn.classList.toggle("hidden", !(isMyTurn && state.pot));
 
-  keepDetail.textContent = canSelectDice ? "Tap dice to select scoring dice." : "—";
+  const keeps = state.keeps || [];
+  if (keeps.length) {
+    keepDetail.textContent = "Kept: " + keeps.map(k => `${k.dice.join(" ")} (${k.points})`).join(" · ");
+  } else {
+    keepDetail.textContent = canSelectDice ? "Tap dice to select scoring dice." : "—";
+  }
+
+  const none = [false, false, false, false, false, false];
+  if (suggestion && (suggestion.roll !== rollKey(state) || !canSelectDice)) suggestion = null;
+  renderDice(state.dice || [1,1,1,1,1,1], state.locked || none, state.selected || none, canSelectDice,
+    suggestion ? suggestion.idx : []);
+  renderAdvisor(state, isMyTurn && !!state.rules);
+  renderHandOver(state);
+}
 
-  renderDice(state.dice || [1,1,1,1,1,1], state.held || [false,false,false,false,false,false], canSelectDice);
+function tableOptions() {
+  return {
+    preset: presetSelect.value,
+    lastChance: lastChanceInput.checked,
+    openingScore: Number(openingSelect.value),
+    farklePenalty: Number(penaltySelect.value),
+    piggyback: piggybackInput.checked,
+    seats: Number(seatsSelect.value),
+    turnSeconds: Number(turnClockSelect.value),
+    bestOf: Number(bestOfSelect.value),
+    public: publicInput.checked
+  };
 }
 
+// --- Lobby: public tables and quick match (only while not at a table)
+function renderLobby(tables) {
+  lobbyList.innerHTML = "";
+  if (!tables.length) {
+    const empty = document.createElement("div");
+    empty.className = "smallHint";
+    empty.textContent = "No open tables right now. Create one or try quick match.";
+    lobbyList.appendChild(empty);
+    return;
+  }
+  tables.forEach(t => {
+    const row = document.createElement("div");
+    row.className = "lobbyRow";
+
+    const info = document.createElement("div");
+    const title = document.createElement("div");
+    title.className = "lobbyTitle";
+    title.textContent = `${t.host ? `${t.host}'s table` : "Open table"} · ${t.seats.filled}/${t.seats.total} seated` +
+      (t.phase === "turn" ? " · in play" : "");
+    const meta = document.createElement("div");
+    meta.className = "smallHint";
+    meta.textContent = rulesText(t.rules, t.turnSeconds);
+    info.append(title, meta);
+
+    const btn = document.createElement("button");
+    btn.className = "btn small";
+    btn.textContent = "Join";
+    btn.addEventListener("click", () => {
+      const name = (nameInput.value || "Player").trim();
+      socket.emit("room:join", { code: t.code, name, profile: profile && profile.token });
+    });
+
+    row.append(info, btn);
+    lobbyList.appendChild(row);
+  });
+}
+
+function setSearching(searching, msg) {
+  matchBtn.classList.toggle("hidden", searching);
+  matchCancelBtn.classList.toggle("hidden", !searching);
+  matchStatus.textContent = msg || "Heads-up with the next player who wants the same rules.";
+}
+
+matchBtn.addEventListener("click", () => {
+  const name = (nameInput.value || "Player").trim();
+  socket.emit("match:join", { name, profile: profile && profile.token, preset: presetSelect.value });
+});
+
+matchCancelBtn.addEventListener("click", () => socket.emit("match:leave"));
+
+// --- Tournaments: sign-up list, then the bracket
+const ROUND_NAMES = ["Final", "Semi-finals", "Quarter-finals"];
+
+function roundName(round, rounds) {
+  return ROUND_NAMES[rounds - 1 - round] || `Round ${round + 1}`;
+}
+
+function joinMatch() {
+  const name = (nameInput.value || "Player").trim();
+  socket.emit("room:join", { code: myMatch.code, name, token: myMatch.token, profile: profile && profile.token });
+}
+
+function renderBracket(t) {
+  bracketEl.innerHTML = "";
+  (t.rounds || []).forEach((matches, r) => {
+    const col = document.createElement("div");
+    col.className = "bracketRound";
+    const title = document.createElement("div");
+    title.className = "bracketTitle";
+    title.textContent = roundName(r, t.rounds.length);
+    col.appendChild(title);
+
+    matches.forEach(m => {
+      const box = document.createElement("div");
+      box.className = "bracketMatch" + (m.room && m.winner === null ? " live" : "");
+      m.players.forEach((entrant, side) => {
+        const line = document.createElement("div");
+        line.className = "bracketPlayer" +
+          (entrant === null ? " empty" : "") +
+          (entrant !== null && entrant === myEntrant ? " me" : "") +
+          (m.winner === null ? "" : m.winner === entrant ? " won" : " lost");
+        const name = document.createElement("span");
+        name.textContent = entrant === null ? (r === 0 ? "bye" : "—") : t.entrants[entrant].name;
+        line.appendChild(name);
+        if (m.wins && t.bestOf > 1 && entrant !== null) {
+          const wins = document.createElement("span");
+          wins.textContent = String(m.wins[side]);
+          line.appendChild(wins);
+        }
+        box.appendChild(line);
+      });
+
+      // Anyone else can watch a match in progress
+      if (m.room && m.winner === null && !m.players.includes(myEntrant) && m.room !== roomCode) {
+        const btn = document.createElement("button");
+        btn.className = "btn small";
+        btn.textContent = "Watch";
+        btn.addEventListener("click", () => {
+          const name = (nameInput.value || "Player").trim();
+          socket.emit("room:join", { code: m.room, name, spectate: true, profile: profile && profile.token });
+        });
+        box.appendChild(btn);
+      }
+      col.appendChild(box);
+    });
+    bracketEl.appendChild(col);
+  });
+}
+
+function renderTournament(t) {
+  tournamentBox.classList.remove("hidden");
+  tournamentCode.textContent = t.code;
+
+  const format = `${t.rules.label} · ${t.bestOf > 1 ? `best-of-${t.bestOf} matches` : "one game a match"}`;
+  if (t.phase === "signup") {
+    tournamentStatus.textContent = `Signing up: ${t.entrants.length} player${t.entrants.length === 1 ? "" : "s"} (4–16) · ${format}`;
+    tournamentEntrants.textContent = t.entrants.map((e, i) => e.name + (i === t.host ? " (host)" : "")).join(", ");
+  } else {
+    tournamentStatus.textContent = t.phase === "finished"
+      ? `${t.entrants[t.champion].name} wins the tournament!`
+      : `Knockout · ${format}`;
+    tournamentEntrants.textContent = "";
+  }
+
+  // Our table is only worth offering while that match is still being played
+  const mine = myMatch && (t.rounds || []).flat().find(m => m.room === myMatch.code);
+  if (mine && mine.winner !== null) myMatch = null;
+
+  tournamentStartBtn.classList.toggle("hidden", !(t.phase === "signup" && myEntrant !== null && myEntrant === t.host));
+  tournamentPlayBtn.classList.toggle("hidden", !myMatch || myMatch.code === roomCode);
+  renderBracket(t);
+}
+
+function leaveTournament() {
+  setTournament(null);
+  myEntrant = null;
+  myMatch = null;
+  tournamentBox.classList.add("hidden");
+}
+
+tournamentCreateBtn.addEventListener("click", () => {
+  const name = (nameInput.value || "Player").trim();
+  const { seats, public: listed, ...options } = tableOptions();
+  socket.emit("tournament:create", { name, profile: profile && profile.token, ...options });
+});
+
+tournamentJoinBtn.addEventListener("click", () => {
+  const code = (roomInput.value || "").trim().toUpperCase();
+  const name = (nameInput.value || "Player").trim();
+  if (!code) return showToast("Enter the tournament code.");
+  socket.emit("tournament:join", { code, name, profile: profile && profile.token });
+});
+
+tournamentStartBtn.addEventListener("click", () => socket.emit("tournament:start"));
+tournamentPlayBtn.addEventListener("click", () => myMatch && joinMatch());
+tournamentLeaveBtn.addEventListener("click", () => {
+  socket.emit("tournament:leave");
+  leaveTournament();
+});
+
 createBtn.addEventListener("click", () => {
   const name = (nameInput.value || "Player").trim();
-  socket.emit("room:create", { name, clientId });
+  socket.emit("room:create", { name, profile: profile && profile.token, ...tableOptions() });
+});
+
+aiBtn.addEventListener("click", () => {
+  const name = (nameInput.value || "Player").trim();
+  socket.emit("room:create", { name, profile: profile && profile.token, ai: aiLevelSelect.value, ...tableOptions() });
+});
+
+hotseatBtn.addEventListener("click", () => {
+  const name = (nameInput.value || "Player").trim();
+  const others = hotseatInput.value.split(",").map(n => n.trim()).filter(Boolean);
+  if (!others.length) return showToast("Name at least one other player.");
+  if (others.length > 5) return showToast("Pass and play seats up to 6 players.");
+  socket.emit("room:create", { name, profile: profile && profile.token, hotseat: others, ...tableOptions() });
 });
 
 joinBtn.addEventListener("click", () => {
   const code = (roomInput.value || "").trim().toUpperCase();
   const name = (nameInput.value || "Player").trim();
   if (!code) return showToast("Enter a table code.");
-  socket.emit("room:join", { code, name, clientId });
+  socket.emit("room:join", { code, name, profile: profile && profile.token });
 });
 
 newGameBtn.addEventListener("click", () => socket.emit("game:new"));
+sitBtn.addEventListener("click", () => socket.emit("room:sit"));
+forfeitBtn.addEventListener("click", () => socket.emit("game:claimForfeit"));
+// Back to the home screen, whether we left or the host kicked us
+function leftTable(msg) {
+  tellParent("left", { code: roomCode });
+  clearJoined();
+  setUIJoined(false);
+  gameLog = [];
+  refreshLogControls();
+  chatLog.innerHTML = "";
+  handedTo = null;
+  passOverlay.classList.add("hidden");
+  socket.emit("lobby:watch");
+  log(msg);
+}
+
+leaveBtn.addEventListener("click", () => {
+  socket.emit("room:leave");
+  leftTable("Left the table.");
+});
 rollBtn.addEventListener("click", () => socket.emit("turn:roll"));
 keepBtn.addEventListener("click", () => socket.emit("turn:keep"));
 bankBtn.addEventListener("click", () => socket.emit("turn:bank"));
+potBtn.addEventListener("click", () => socket.emit("turn:takePot"));
+
+// --- Keyboard: 1-6 pick dice, R/K/B roll, keep and bank. Disabled buttons
+// ignore click(), so the keys follow the same rules as the mouse.
+const KEY_BUTTONS = { r: rollBtn, k: keepBtn, b: bankBtn };
+
+document.addEventListener("keydown", (e) => {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+  if (e.target.closest("input, textarea, select, [contenteditable]")) return;
+  if (tableBox.classList.contains("hidden") || document.querySelector(".modalOverlay:not(.hidden)")) return;
+
+  const key = e.key.toLowerCase();
+  if (key >= "1" && key <= "6") onDieClick(Number(key) - 1);
+  else if (KEY_BUTTONS[key]) KEY_BUTTONS[key].click();
+  else return;
+  e.preventDefault();
+});
+
+// --- Embed mode: /embed?table=CODE&name=...[&origin=https://suite.example]
+// No lobby chrome; the framing page picks the table and the name, and hears
+// about joins, game start, turn changes and game over through postMessage.
+const embedParams = location.pathname === "/embed" ? new URLSearchParams(location.search) : null;
+const embedOrigin = (embedParams && embedParams.get("origin")) || null;
+// Where events go: the named origin, else the origin of the page framing us
+// (the browser's referrer). With neither, nothing is posted.
+const parentOrigin = embedOrigin || (embedParams && document.referrer ? new URL(document.referrer).origin : null);
+let embedGame = null; // dice hash of the game last reported as started
+let embedTurn = null;
+let embedOver = null;
+
+if (embedParams) {
+  document.body.classList.add("embed");
+  if (embedParams.get("name")) nameInput.value = embedParams.get("name");
+  tellParent("ready");
+}
+
+// Every message to the parent is { source: "pirate-farkle", type, ...data }
+function tellParent(type, data = {}) {
+  if (!embedParams || !parentOrigin || window.parent === window) return;
+  window.parent.postMessage({ source: "pirate-farkle", type, ...data }, parentOrigin);
+}
+
+// Worked out from table updates. Each game's dice hash is its gameId, so the
+// parent can tell games apart (and ignore a gameOver repeated after a reload).
+function embedState(state) {
+  const players = state.players.filter(p => p.seated).map(p => ({ seat: p.seat, name: p.name, score: p.score }));
+  const game = state.fair.hash;
+
+  if (state.phase === "gameover" && embedOver !== game) {
+    embedOver = game;
+    const winner = state.players[state.winner];
+    tellParent("gameOver", { code: state.code, gameId: game, winner: { seat: state.winner, name: winner.name }, scores: players });
+  }
+  if (state.phase !== "turn") return;
+
+  if (embedGame !== game) {
+    embedGame = game;
+    tellParent("gameStart", { code: state.code, gameId: game, players: players.map(({ seat, name }) => ({ seat, name })) });
+  }
+  const turn = `${game}:${state.activeSeat}`;
+  if (embedTurn !== turn) {
+    embedTurn = turn;
+    const active = state.players[state.activeSeat];
+    tellParent("turn", { code: state.code, seat: state.activeSeat, name: active.name, yours: state.activeSeat === mySeat });
+  }
+}
+
+// Requests from the parent: create, join or leave a table. They drive this
+// player's seat, so they're only taken from the origin named in the URL.
+window.addEventListener("message", (event) => {
+  if (!embedParams || !embedOrigin || event.source !== window.parent) return;
+  if (event.origin !== embedOrigin) return;
+  const msg = event.data && typeof event.data === "object" ? event.data : {};
+  if (typeof msg.name === "string" && msg.name.trim()) nameInput.value = msg.name.trim();
+  const name = (nameInput.value || "Player").trim();
+  // Already there: leaving to rejoin would cost us the seat
+  if (msg.type === "join" && String(msg.code || "").toUpperCase() === roomCode) return;
+
+  if ((msg.type === "create" || msg.type === "join" || msg.type === "leave") && roomCode) {
+    socket.emit("room:leave");
+    leftTable("Left the table.");
+  }
+  if (msg.type === "create") {
+    const { preset, lastChance, openingScore, farklePenalty, piggyback, seats, turnSeconds, bestOf, ai } = msg;
+    socket.emit("room:create", {
+      name, profile: profile && profile.token,
+      preset, lastChance, openingScore, farklePenalty, piggyback, seats, turnSeconds, bestOf, ai
+    });
+  } else if (msg.type === "join") {
+    socket.emit("room:join", { code: String(msg.code || "").toUpperCase(), name, spectate: !!msg.spectate, profile: profile && profile.token });
+  }
+});
 
 socket.on("connect", () => {
   setConnected(true);
   log("Socket connected.");
 
   // If we previously joined (per tab), attempt re-join as reconnect
-  if (roomCode && typeof mySeat === "number") {
+  if (roomCode && (typeof mySeat === "number" || spectating)) {
+    const name = (nameInput.value || "Player").trim();
+    socket.emit("room:join", {
+      code: roomCode, name, token: seatToken, profile: profile && profile.token, spectate: spectating
+    });
+  } else if (embedParams && embedParams.get("table")) {
     const name = (nameInput.value || "Player").trim();
-    socket.emit("room:join", { code: roomCode, name, clientId });
+    socket.emit("room:join", { code: embedParams.get("table").toUpperCase(), name, profile: profile && profile.token });
+  } else {
+    socket.emit("lobby:watch");
+  }
+  if (tournament) {
+    const name = (nameInput.value || "Player").trim();
+    socket.emit("tournament:join", { ...tournament, name, profile: profile && profile.token });
   }
 });
 
 socket.on("disconnect", () => {
   setConnected(false);
+  setSearching(false);
   log("Socket disconnected.");
 });
 
-socket.on("room:joined", ({ code, seat }) => {
-  setJoined(code, seat);
+socket.on("chat:history", (messages) => {
+  chatLog.innerHTML = "";
+  messages.forEach(addChatLine);
+});
+
+socket.on("chat:message", addChatLine);
+
+socket.on("chat:emote", ({ seat, text }) => showEmote(seat, text));
+
+socket.on("profile", (p) => {
+  profile = p;
+  localStorage.setItem("pirateFarkleProfile", JSON.stringify(p));
+  statsLink.href = `stats.html?player=${encodeURIComponent(p.id)}`;
+});
+
+socket.on("lobby:update", renderLobby);
+
+socket.on("tournament:joined", ({ code, entrant, token }) => {
+  myEntrant = entrant;
+  setTournament({ code, token: token || null });
+});
+
+socket.on("tournament:update", renderTournament);
+
+// Our next match has a table: go straight there unless we're mid-game elsewhere
+socket.on("tournament:match", (match) => {
+  myMatch = match;
+  if (match.code === roomCode) return;
+  if (!roomCode || !lastState || lastState.phase !== "turn") return joinMatch();
+  tournamentPlayBtn.classList.remove("hidden");
+  showToast("Your next tournament match is ready.");
+});
+
+socket.on("match:waiting", ({ preset }) => {
+  setSearching(true, `Looking for an opponent · ${window.Farkle.rules.PRESETS[preset].label}…`);
+});
+
+socket.on("match:left", () => setSearching(false));
+
+socket.on("room:joined", ({ code, seat, spectator, token }) => {
+  setJoined(code, spectator ? null : seat, token);
+  setSearching(false);
+  if (myMatch && myMatch.code === code) tournamentPlayBtn.classList.add("hidden");
   setUIJoined(true);
+  refreshLogControls();
+  tellParent("joined", { code, seat: spectator ? null : seat, spectator: !!spectator });
+  if (spectator) {
+    log(`Watching room ${code} as a spectator.`);
+    return;
+  }
   showToast(`Joined ${code} as seat ${seat}.`);
   log(`Joined room ${code} seat ${seat}.`);
 });
 
+socket.on("room:kicked", ({ code }) => {
+  leftTable(`The host removed you from table ${code}.`);
+  showModal("Removed from the table", "The host has removed you from the table.");
+});
+
+socket.on("room:closed", ({ code }) => leftTable(`Table ${code} was closed.`));
+
+socket.on("room:log", (events) => {
+  gameLog = events || [];
+  logEl.textContent = "";
+  gameLog.forEach(e => log(describeEvent(e), e.at));
+  refreshLogControls();
+});
+
+socket.on("room:event", (e) => {
+  gameLog.push(e);
+  log(describeEvent(e), e.at);
+  refreshLogControls();
+  // Keeps and hot dice are already announced by the server's toast
+  if (e.type !== "keep" && e.type !== "hotDice" && e.type !== "seedReveal") announce(describeEvent(e));
+  // Events come before the room:update they lead to, so lastState is still
+  // the table as it was before this roll
+  if (e.type === "roll") rollingDice = lastState ? lastState.locked.map(l => !l) : Array(6).fill(true);
+  // Let the dice land before the bad news
+  if (EVENT_SOUNDS[e.type]) playSound(EVENT_SOUNDS[e.type], e.type === "farkle" && !settings.reduceMotion ? ROLL_MS : 0);
+});
+
 socket.on("room:update", (state) => {
   // If we have a room state, consider ourselves in-table view.
   if (state && state.code) setUIJoined(true);
   updateFromState(state);
+  embedState(state);
 });
 
 socket.on("toast", ({ msg }) => {
   if (msg) showToast(msg);
+  if (msg) tellParent("notice", { message: msg });
 });
 
 socket.on("modal", ({ title, body }) => {
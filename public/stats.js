@@ -0,0 +1,106 @@
+// public/stats.js
+// Leaderboard and match history, read from /leaderboard and /players/:id.
+const $ = (id) => document.getElementById(id);
+
+const sortSelect = $("sortSelect");
+const leaderboardBody = $("leaderboardBody");
+const leaderboardEmpty = $("leaderboardEmpty");
+const historyTitle = $("historyTitle");
+const historySummary = $("historySummary");
+const historyList = $("historyList");
+const myGamesLink = $("myGamesLink");
+
+const myProfile = JSON.parse(localStorage.getItem("pirateFarkleProfile") || "null");
+if (myProfile) {
+  myGamesLink.href = `?player=${encodeURIComponent(myProfile.id)}`;
+  myGamesLink.classList.remove("hidden");
+}
+
+const percent = (x) => `${Math.round(x * 100)}%`;
+
+function minutes(ms) {
+  const m = Math.round(ms / 60000);
+  return m < 1 ? "under a minute" : `${m} min`;
+}
+
+function cell(row, text) {
+  const td = document.createElement("td");
+  td.textContent = text;
+  row.appendChild(td);
+  return td;
+}
+
+async function getJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || `HTTP ${res.status}`);
+  return res.json();
+}
+
+async function loadLeaderboard() {
+  const { players } = await getJson(`/leaderboard?sort=${sortSelect.value}`);
+  leaderboardBody.innerHTML = "";
+  leaderboardEmpty.classList.toggle("hidden", players.length > 0);
+
+  players.forEach((p, i) => {
+    const row = document.createElement("tr");
+    if (myProfile && p.id === myProfile.id) row.className = "mine";
+    cell(row, String(i + 1));
+    const name = cell(row, "");
+    const link = document.createElement("a");
+    link.href = `?player=${encodeURIComponent(p.id)}`;
+    link.textContent = p.bot ? `${p.name} (AI)` : p.name;
+    name.appendChild(link);
+    cell(row, String(p.rating));
+    cell(row, String(p.games));
+    cell(row, String(p.wins));
+    cell(row, percent(p.winRate));
+    cell(row, String(p.bestTurn));
+    leaderboardBody.appendChild(row);
+  });
+}
+
+async function loadHistory(id) {
+  let found;
+  try {
+    found = await getJson(`/players/${encodeURIComponent(id)}`);
+  } catch (err) {
+    historySummary.textContent = "No games on record for this player yet.";
+    return;
+  }
+  const p = found.profile;
+  historyTitle.textContent = `${p.name}'s games`;
+  historySummary.textContent = `Rating ${p.rating} · ${p.wins} wins from ${p.games} games (${percent(p.winRate)}) · best turn ${p.bestTurn}`;
+
+  historyList.innerHTML = "";
+  found.games.forEach(g => {
+    const me = g.players.find(x => x.profileId === id);
+    const item = document.createElement("div");
+    item.className = "historyItem" + (g.winner === id ? " won" : "");
+
+    const head = document.createElement("div");
+    head.className = "playerName";
+    head.textContent = `${g.winner === id ? "Won" : "Lost"} · ${new Date(g.finishedAt).toLocaleString()}`;
+
+    const scores = document.createElement("div");
+    scores.textContent = g.players
+      .map(x => `${x.name} ${x.score}` + (x.left ? " (left)" : ""))
+      .join(" · ");
+
+    const meta = document.createElement("div");
+    meta.className = "smallHint";
+    meta.textContent = `${g.rules} · ${g.turns} turns · ${minutes(g.durationMs)}` +
+      (me ? ` · best turn ${me.bestTurn} · rating ${me.ratingAfter}` : "");
+
+    item.append(head, scores, meta);
+    historyList.appendChild(item);
+  });
+}
+
+sortSelect.addEventListener("change", () => loadLeaderboard().catch(err => console.error(err)));
+
+loadLeaderboard().catch(err => {
+  leaderboardEmpty.textContent = `Couldn't load the leaderboard: ${err.message}`;
+  leaderboardEmpty.classList.remove("hidden");
+});
+const player = new URLSearchParams(location.search).get("player");
+if (player) loadHistory(player);
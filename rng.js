@@ -0,0 +1,63 @@
+// rng.js
+// Dice sources for rules.roll(). Every game is dealt from a seeded generator:
+// the server publishes sha256(seed) when the game starts and reveals the seed
+// at game over, so anyone can re-derive every die ("provably fair").
+const crypto = require("crypto");
+
+/**
+ * Die number `draw` (0, 1, 2... across the whole game) for a seed:
+ * the first byte of HMAC-SHA256(seed, String(draw)) below 252, mod 6, plus 1.
+ * Bytes 252..255 are skipped so every face is equally likely.
+ */
+function dieFromSeed(seed, draw) {
+  const digest = crypto.createHmac("sha256", seed).update(String(draw)).digest();
+  for (const b of digest) if (b < 252) return 1 + (b % 6);
+  return 1 + (digest[0] % 6);
+}
+
+function hashSeed(seed) {
+  return crypto.createHash("sha256").update(seed).digest("hex");
+}
+
+function newSeed() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// Deterministic dice; `draws` is how many dice this seed has already dealt
+function createSeededRng(seed, draws = 0) {
+  const rng = {
+    seed,
+    draws,
+    rollDie: () => dieFromSeed(seed, rng.draws++)
+  };
+  return rng;
+}
+
+// Exact dice in order, for tests. Running out is a bug in the test.
+function createScriptedRng(values) {
+  const rng = {
+    draws: 0,
+    rollDie() {
+      if (rng.draws >= values.length) throw new Error("Scripted dice ran out");
+      return values[rng.draws++];
+    }
+  };
+  return rng;
+}
+
+/**
+ * Check a revealed seed against its published hash and the logged rolls.
+ * rolls = [{ draw, rolled: [values] }], as found in the room log. The draws
+ * must run on from 0 with no gaps, or a server could skip dice it didn't like.
+ */
+function verifyRolls(seed, hash, rolls) {
+  if (hashSeed(seed) !== hash) return false;
+  let next = 0;
+  return rolls.every(r => {
+    if (r.draw !== next) return false;
+    next = r.draw + r.rolled.length;
+    return r.rolled.every((v, i) => dieFromSeed(seed, r.draw + i) === v);
+  });
+}
+
+module.exports = { dieFromSeed, hashSeed, newSeed, createSeededRng, createScriptedRng, verifyRolls };
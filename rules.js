@@ -0,0 +1,432 @@
+// rules.js
+// Pure Farkle rules engine. Every action takes the game state and returns
+// { state, events } with a new state object, or { error } when the move is
+// not allowed. Nothing here touches sockets or timers.
+//
+// Game state is the room (see server.js). Seats whose player has no clientId
+// are empty and get skipped when the turn moves on.
+
+/**
+ * Rules config shape:
+ * {
+ *   preset: "pirate",
+ *   label: "Pirate house rules",
+ *   targetScore: 10000,
+ *   combos: { straight, threePairs, twoTriplets },        // points per combo
+ *   enabledCombos: { straight, threePairs, twoTriplets },  // bools
+ *   nOfAKind: "flat" | "doubling",
+ *   lastChance: bool,
+ *   openingScore: 0 | points,   // needed in one turn before a player's first bank
+ *   farklePenalty: 0 | points,  // lost on every third farkle in a row
+ *   piggyback: bool
+ * }
+ * "flat" scores four/five/six of a kind as 1000/2000/3000.
+ * "doubling" doubles the three-of-a-kind value for every extra die.
+ * With `lastChance`, crossing the target gives everyone else one final turn.
+ * With `piggyback`, the next player may take over a banked turn's points and
+ * remaining dice ("steal the pot") instead of starting fresh.
+ */
+const PRESETS = {
+  pirate: {
+    label: "Pirate house rules",
+    targetScore: 10000,
+    combos: { straight: 1500, threePairs: 1500, twoTriplets: 2500 },
+    enabledCombos: { straight: true, threePairs: true, twoTriplets: true },
+    nOfAKind: "flat",
+    lastChance: false,
+    openingScore: 0,
+    farklePenalty: 0,
+    piggyback: false
+  },
+  classic: {
+    label: "Classic",
+    targetScore: 10000,
+    combos: { straight: 1000, threePairs: 500, twoTriplets: 2500 },
+    enabledCombos: { straight: true, threePairs: true, twoTriplets: false },
+    nOfAKind: "doubling",
+    lastChance: true,
+    openingScore: 0,
+    farklePenalty: 0,
+    piggyback: false
+  }
+};
+
+const DEFAULT_PRESET = "pirate";
+
+const FLAT_N_OF_A_KIND = { 4: 1000, 5: 2000, 6: 3000 };
+
+// Table options the creator may switch on or off on top of a preset
+const TOGGLES = ["lastChance", "piggyback"];
+
+// House rules with a value, and the values a table may pick (0 = off)
+const HOUSE_RULE_VALUES = {
+  openingScore: [0, 300, 500, 750, 1000],
+  farklePenalty: [0, 500, 1000]
+};
+
+function resolveRules(preset, options = {}) {
+  const key = Object.hasOwn(PRESETS, preset) ? preset : DEFAULT_PRESET;
+  const base = PRESETS[key];
+  const resolved = {
+    preset: key,
+    label: base.label,
+    targetScore: base.targetScore,
+    combos: { ...base.combos },
+    enabledCombos: { ...base.enabledCombos },
+    nOfAKind: base.nOfAKind,
+    lastChance: base.lastChance,
+    openingScore: base.openingScore,
+    farklePenalty: base.farklePenalty,
+    piggyback: base.piggyback
+  };
+  TOGGLES.forEach(t => {
+    if (typeof options[t] === "boolean") resolved[t] = options[t];
+  });
+  Object.keys(HOUSE_RULE_VALUES).forEach(key => {
+    const value = Number(options[key]);
+    if (HOUSE_RULE_VALUES[key].includes(value)) resolved[key] = value;
+  });
+  return resolved;
+}
+
+// --- Scoring
+
+function countFaces(values) {
+  const counts = [0, 0, 0, 0, 0, 0, 0];
+  values.forEach(v => (counts[v]++));
+  return counts;
+}
+
+// Points for a six-dice special combo, or 0 if the counts don't form one
+function sixDiceCombo(counts, rules) {
+  const faces = [1, 2, 3, 4, 5, 6];
+  const on = rules.enabledCombos;
+  if (on.straight && faces.every(v => counts[v] === 1)) return rules.combos.straight;
+  if (on.threePairs && faces.filter(v => counts[v] === 2).length === 3) return rules.combos.threePairs;
+  if (on.twoTriplets && faces.filter(v => counts[v] === 3).length === 2) return rules.combos.twoTriplets;
+  return 0;
+}
+
+function setValue(face, count, rules) {
+  // three of a kind: 1=1000, 2=200, 3=300 ... 6=600
+  const triple = face === 1 ? 1000 : face * 100;
+  if (count === 3) return triple;
+  if (rules.nOfAKind === "doubling") return triple * 2 ** (count - 3);
+  return FLAT_N_OF_A_KIND[count];
+}
+
+/**
+ * Score the dice kept in one action.
+ * Returns { points, usedCounts } or { points: 0, usedCounts: null } if the
+ * keep is invalid. Every kept die must score: a stray 2/3/4/6 voids the keep.
+ */
+function scoreKeptDice(values, rules) {
+  if (!values || values.length === 0) return { points: 0, usedCounts: null };
+
+  const counts = countFaces(values);
+
+  if (values.length === 6) {
+    const combo = sixDiceCombo(counts, rules);
+    if (combo) return { points: combo, usedCounts: counts };
+  }
+
+  let points = 0;
+  for (let v = 1; v <= 6; v++) {
+    const c = counts[v];
+    if (c >= 3) points += setValue(v, c, rules);
+    else if (v === 1) points += c * 100;
+    else if (v === 5) points += c * 50;
+    else if (c > 0) return { points: 0, usedCounts: null };
+  }
+  return { points, usedCounts: counts };
+}
+
+// Is a roll of these (unlocked) dice a "farkle": nothing at all scores?
+function isFarkle(values, rules) {
+  if (values.length === 0) return false;
+
+  const counts = countFaces(values);
+  if (counts[1] || counts[5]) return false;
+  if (counts.some(c => c >= 3)) return false;
+  if (values.length === 6 && sixDiceCombo(counts, rules)) return false;
+  return true;
+}
+
+// --- Turn state
+
+const noDice = () => [false, false, false, false, false, false];
+
+function randomDie() {
+  return 1 + Math.floor(Math.random() * 6);
+}
+
+// Fields that start over at the beginning of every turn
+function freshTurn() {
+  return { turnPoints: 0, locked: noDice(), selected: noDice(), keeps: [], canRoll: true, pot: null };
+}
+
+function freeValues(state) {
+  return state.dice.filter((_, i) => !state.locked[i]);
+}
+
+const isSeated = (p) => !!p.clientId;
+
+// Next taken seat after `from`, going round the table
+function nextSeat(state, from = state.activeSeat) {
+  const n = state.players.length;
+  for (let i = 1; i <= n; i++) {
+    const seat = (from + i) % n;
+    if (isSeated(state.players[seat])) return seat;
+  }
+  return from;
+}
+
+// Lowest taken seat: who opens a new game
+function firstSeat(state) {
+  return nextSeat(state, -1);
+}
+
+// Taken seats other than `seat`, in turn order after it
+function otherSeats(state, seat) {
+  const seats = [];
+  for (let s = nextSeat(state, seat); s !== seat && !seats.includes(s); s = nextSeat(state, s)) seats.push(s);
+  return seats;
+}
+
+// Game over: the best score at the table wins, ties going to whoever reached the target first
+function finishGame(state, leader, events) {
+  const seated = state.players.filter(isSeated);
+  const first = isSeated(state.players[leader]) ? state.players[leader] : seated[0] || state.players[leader];
+  const winner = seated.reduce((best, p) => (p.score > best.score ? p : best), first);
+  events.push({ type: "gameOver", winner: winner.seat, scores: state.players.map(p => p.score) });
+  return { ...state, ...freshTurn(), canRoll: false, phase: "gameover", winner: winner.seat, finalRound: null };
+}
+
+// Hand the turn on after `seat` banked or farkled, running the final round if
+// there is one. `pot` is what the next player may piggyback on.
+function endTurn(state, seat, rules, events, pot = null) {
+  let finalRound = state.finalRound || null;
+
+  if (finalRound) {
+    finalRound = { ...finalRound, pending: finalRound.pending.filter(s => s !== seat) };
+    if (finalRound.pending.length === 0) return finishGame(state, finalRound.triggeredBy, events);
+  } else if (state.players[seat].score >= rules.targetScore) {
+    if (!rules.lastChance) return finishGame(state, seat, events);
+    finalRound = { triggeredBy: seat, pending: otherSeats(state, seat) };
+    events.push({ type: "finalRound", seat, score: state.players[seat].score });
+  }
+
+  const activeSeat = finalRound ? finalRound.pending[0] : nextSeat(state, seat);
+  return { ...state, ...freshTurn(), finalRound, activeSeat, pot };
+}
+
+function turnError(state, seat) {
+  if (state.phase !== "turn") return "Game not ready.";
+  if (seat !== state.activeSeat) return "Not your turn.";
+  return null;
+}
+
+// Opening threshold: nobody banks until one turn has got them on the board
+function openingError(state, seat, rules) {
+  if (!rules.openingScore || state.players[seat].onBoard) return null;
+  if (state.turnPoints >= rules.openingScore) return null;
+  return `You need ${rules.openingScore} in one turn to get on the board.`;
+}
+
+// Count a farkle towards the player's streak; the third in a row costs farklePenalty
+function farkleStreak(state, seat, rules, events) {
+  const streak = (state.players[seat].farkles || 0) + 1;
+  const penalty = !!rules.farklePenalty && streak >= 3;
+  const players = state.players.map(p => {
+    if (p.seat !== seat) return p;
+    return { ...p, farkles: penalty ? 0 : streak, score: penalty ? p.score - rules.farklePenalty : p.score };
+  });
+  if (penalty) events.push({ type: "farklePenalty", seat, points: rules.farklePenalty, score: players[seat].score });
+  return { ...state, players };
+}
+
+/**
+ * Roll every die that isn't locked. A farkle ends the turn straight away.
+ * Rolling also turns down any pot left by the previous player.
+ * Events: roll (all six dice, plus the values just rolled), then farkle if
+ * nothing scored, plus farklePenalty on a third farkle in a row.
+ */
+function roll(state, seat, rules, rollDie = randomDie) {
+  const error = turnError(state, seat) || (!state.canRoll && "You must KEEP or BANK first.");
+  if (error) return { error };
+
+  const dice = state.dice.map((v, i) => (state.locked[i] ? v : rollDie()));
+  const rolled = { ...state, dice, selected: noDice(), canRoll: false, pot: null };
+  const events = [{ type: "roll", seat, dice, rolled: freeValues(rolled) }];
+
+  if (isFarkle(freeValues(rolled), rules)) {
+    events.push({ type: "farkle", seat, lost: state.turnPoints });
+    return { state: endTurn(farkleStreak(rolled, seat, rules, events), seat, rules, events), events };
+  }
+  return { state: rolled, events };
+}
+
+// Select or unselect one die from the current roll
+function toggleSelect(state, seat, idx) {
+  const error = turnError(state, seat);
+  if (error) return { error };
+  if (!Number.isInteger(idx) || idx < 0 || idx > 5) return { error: "Invalid die." };
+  // Dice are placeholders until the first roll of the turn
+  if (state.canRoll) return { error: "Roll first." };
+  // Dice locked by an earlier keep stay locked until the turn ends
+  if (state.locked[idx]) return { error: "That die is already locked in." };
+
+  const selected = state.selected.slice();
+  selected[idx] = !selected[idx];
+  return { state: { ...state, selected }, events: [] };
+}
+
+/**
+ * Score the selected dice and lock them in. Locked dice were paid for by an
+ * earlier keep, so they are never scored again.
+ * Events: keep, then hotDice if all six are now locked (they unlock for a fresh roll).
+ */
+function keep(state, seat, rules) {
+  const error = turnError(state, seat) || (state.canRoll && "Roll first.");
+  if (error) return { error };
+
+  const selectedIdx = [];
+  for (let i = 0; i < 6; i++) if (state.selected[i]) selectedIdx.push(i);
+  if (selectedIdx.length === 0) return { error: "Select scoring dice to keep." };
+
+  const values = selectedIdx.map(i => state.dice[i]);
+  const scored = scoreKeptDice(values, rules);
+  if (scored.points <= 0) return { error: "Invalid keep. Choose only scoring dice." };
+
+  const locked = state.locked.slice();
+  selectedIdx.forEach(i => (locked[i] = true));
+  const events = [{ type: "keep", seat, dice: values, points: scored.points }];
+
+  const hot = locked.every(Boolean);
+  if (hot) events.push({ type: "hotDice", seat });
+
+  return {
+    state: {
+      ...state,
+      turnPoints: state.turnPoints + scored.points,
+      keeps: [...state.keeps, { dice: values, points: scored.points }],
+      locked: hot ? noDice() : locked,
+      selected: noDice(),
+      canRoll: true
+    },
+    events
+  };
+}
+
+/**
+ * Add the turn points to the active player's score and pass the turn. With
+ * piggyback on, the points and remaining dice are left as a pot for the next player.
+ * Events: bank, then finalRound or gameOver once the target score is reached.
+ */
+function bank(state, seat, rules) {
+  const error = turnError(state, seat) || openingError(state, seat, rules);
+  if (error) return { error };
+
+  // Banking nothing just passes the turn: it doesn't clear a farkle streak
+  // or put anyone on the board
+  const points = state.turnPoints;
+  const players = state.players.map(p => (
+    p.seat === seat && points > 0 ? { ...p, score: p.score + points, farkles: 0, onBoard: true } : p
+  ));
+  const events = [{ type: "bank", seat, points, score: players[seat].score }];
+  const pot = rules.piggyback && points > 0
+    ? { from: seat, points, dice: state.dice.slice(), locked: state.locked.slice() }
+    : null;
+  return { state: endTurn({ ...state, players }, seat, rules, events, pot), events };
+}
+
+/**
+ * Piggyback: start the turn from the pot the last player banked, with their
+ * points and only their remaining dice to roll. Only before the first roll.
+ * Events: potTaken.
+ */
+function takePot(state, seat, rules) {
+  const error = turnError(state, seat);
+  if (error) return { error };
+  if (!rules.piggyback || !state.pot) return { error: "There's no pot to take." };
+
+  const { from, points, dice, locked } = state.pot;
+  return {
+    state: {
+      ...state,
+      dice: dice.slice(),
+      locked: locked.slice(),
+      selected: noDice(),
+      turnPoints: points,
+      keeps: [{ dice: dice.filter((_, i) => locked[i]), points }],
+      canRoll: true,
+      pot: null
+    },
+    events: [{ type: "potTaken", seat, from, points }]
+  };
+}
+
+/**
+ * The turn clock ran out. Points already kept are banked (if they're enough
+ * to bank), otherwise the turn just passes on.
+ * Events: timeUp, then the bank events if there was anything to bank.
+ */
+function timeUp(state, seat, rules) {
+  const error = turnError(state, seat);
+  if (error) return { error };
+
+  const events = [{ type: "timeUp", seat }];
+  if (state.turnPoints > 0 && !openingError(state, seat, rules)) {
+    const banked = bank(state, seat, rules);
+    return { state: banked.state, events: [...events, ...banked.events] };
+  }
+  return { state: endTurn(state, seat, rules, events), events };
+}
+
+/**
+ * Seat `seat` has just been vacated mid-game. Their turn (and final-round
+ * turn) is skipped; if only one player is left, they win by default.
+ * `by` is the seat that claimed a forfeit when the player went missing.
+ * Events: left (forfeit when claimed), then gameOver if the table is down to one player.
+ */
+function seatLeft(state, seat, by) {
+  if (state.phase !== "turn") return { state, events: [] };
+
+  const events = [by === undefined ? { type: "left", seat } : { type: "forfeit", seat, by }];
+  const remaining = state.players.filter(isSeated);
+  if (remaining.length < 2) {
+    const leader = remaining.length ? remaining[0].seat : seat;
+    return { state: finishGame(state, leader, events), events };
+  }
+
+  let finalRound = state.finalRound || null;
+  if (finalRound) {
+    finalRound = { ...finalRound, pending: finalRound.pending.filter(s => s !== seat) };
+    if (finalRound.pending.length === 0) {
+      return { state: finishGame(state, finalRound.triggeredBy, events), events };
+    }
+  }
+
+  if (state.activeSeat !== seat) return { state: { ...state, finalRound }, events };
+  const activeSeat = finalRound ? finalRound.pending[0] : nextSeat(state, seat);
+  return { state: { ...state, ...freshTurn(), finalRound, activeSeat }, events };
+}
+
+module.exports = {
+  PRESETS,
+  DEFAULT_PRESET,
+  HOUSE_RULE_VALUES,
+  resolveRules,
+  scoreKeptDice,
+  isFarkle,
+  freshTurn,
+  nextSeat,
+  firstSeat,
+  roll,
+  toggleSelect,
+  keep,
+  bank,
+  takePot,
+  timeUp,
+  seatLeft
+};
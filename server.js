@@ -1,7 +1,20 @@
 // server.js
 const express = require("express");
 const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const { Server } = require("socket.io");
+const rules = require("./rules");
+const { BOT_LEVELS, planBotMove } = require("./bot");
+const { createJsonFileStore, createMemoryStore } = require("./store");
+const { hashSeed, newSeed, createSeededRng } = require("./rng");
+const { createSeatTokens, createProfileTokens, newPlayerId, loadOrCreateSecret } = require("./tokens");
+const { createHistory } = require("./history");
+const { CHAT_HISTORY, EMOTES, cleanMessage } = require("./chat");
+const { lobbyListing, createMatchQueue } = require("./lobby");
+const tourney = require("./tournament");
+const { createMetrics } = require("./metrics");
 
 const app = express();
 const server = http.createServer(app);
@@ -10,30 +23,191 @@ const io = new Server(server);
 // Railway / production port handling
 const PORT = process.env.PORT || 3000;
 
+// Room persistence: ROOM_STORE=memory turns it off
+const ROOMS_FILE = process.env.ROOMS_FILE || "data/rooms.json";
+const store = process.env.ROOM_STORE === "memory" ? createMemoryStore() : createJsonFileStore(ROOMS_FILE);
+
+// Tournaments live in a store of their own, beside the rooms playing their matches
+const TOURNAMENTS_FILE = process.env.TOURNAMENTS_FILE || "data/tournaments.json";
+const tournamentStore = process.env.ROOM_STORE === "memory" ? createMemoryStore() : createJsonFileStore(TOURNAMENTS_FILE);
+
+// Profiles and finished games, for match history and the leaderboard
+const PROFILES_FILE = process.env.PROFILES_FILE || "data/profiles.json";
+const GAMES_FILE = process.env.GAMES_FILE || "data/games.json";
+const history = process.env.ROOM_STORE === "memory"
+  ? createHistory(createMemoryStore("id"), createMemoryStore("id"))
+  : createHistory(createJsonFileStore(PROFILES_FILE, "id"), createJsonFileStore(GAMES_FILE, "id"));
+
+// Rooms expire after this long without activity (idle needs nobody connected)
+const ROOM_IDLE_TTL_MS = (Number(process.env.ROOM_IDLE_TTL_MIN) || 120) * 60 * 1000;
+const ROOM_FINISHED_TTL_MS = (Number(process.env.ROOM_FINISHED_TTL_MIN) || 30) * 60 * 1000;
+const ROOM_SWEEP_MS = 60 * 1000;
+
+// Seat and profile tokens are signed with SEAT_TOKEN_SECRET, else a secret kept beside the room store
+const TOKEN_SECRET = process.env.SEAT_TOKEN_SECRET ||
+  (process.env.ROOM_STORE === "memory" ? newPlayerId() : loadOrCreateSecret(`${ROOMS_FILE}.secret`));
+const seatTokens = createSeatTokens(TOKEN_SECRET);
+const profileTokens = createProfileTokens(TOKEN_SECRET);
+
+// Rate limit per socket (and per address for the HTTP API): bursts of
+// RATE_BURST events, refilling at RATE_PER_SEC
+const RATE_BURST = 20;
+const RATE_PER_SEC = 8;
+
+// One emote per player this often, so the cards don't turn into confetti
+const EMOTE_COOLDOWN_MS = 1500;
+
+// An offline player can be forfeited by the others once they've been gone this long
+const FORFEIT_GRACE_MS = (Number(process.env.FORFEIT_GRACE_SEC) || 60) * 1000;
+
+// Fixed dice for reproducing a game locally: each game's seed becomes DICE_SEED:<game>
+const DICE_SEED = process.env.DICE_SEED || null;
+
+// The admin page only works once a password is set
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;
+
+// Behind a reverse proxy every request seems to come from the proxy, so the
+// per-address rate limit would lump everyone together. TRUST_PROXY is passed
+// to Express's "trust proxy": a hop count, "true", or addresses to trust.
+const TRUST_PROXY = process.env.TRUST_PROXY || "false";
+if (TRUST_PROXY !== "false") {
+  app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" || TRUST_PROXY);
+}
+
 // Serve static files
 app.use(express.static("public"));
 
+// rules.js, advisor.js and chat.js also run in the browser, so the move
+// advisor scores dice exactly like the server and the emote list is shared.
+// Each is wrapped as a tiny CommonJS module and registered on window.Farkle
+// under its file name.
+const SHARED_MODULES = ["rules", "advisor", "chat"];
+const sharedScripts = new Map(SHARED_MODULES.map(name => {
+  const source = fs.readFileSync(path.join(__dirname, `${name}.js`), "utf8");
+  const wrapped = `window.Farkle = window.Farkle || {};
+(function () {
+const module = { exports: {} };
+const require = (file) => window.Farkle[file.replace("./", "")];
+${source}
+window.Farkle[${JSON.stringify(name)}] = module.exports;
+})();
+`;
+  return [name, wrapped];
+}));
+
+app.get("/shared/:name.js", (req, res) => {
+  const script = sharedScripts.get(req.params.name);
+  if (!script) return res.status(404).end();
+  res.type("application/javascript").send(script);
+});
+
 // Simple health check
 app.get("/health", (req, res) => res.json({ status: "ok", game: "pirate-farkle" }));
 
+// The same page for framing inside the Pirate game suite; app.js sees the
+// path and switches to embed mode (see "Embedding" in the Readme)
+app.get("/embed", (req, res) => res.sendFile(path.join(__dirname, "public", "index.html")));
+
+// Match history for one profile, newest game first
+app.get("/players/:id", (req, res) => {
+  const found = history.playerHistory(String(req.params.id));
+  if (!found) return res.status(404).json({ error: "Player not found." });
+  res.json(found);
+});
+
+// Public tables with a free seat; the home page gets the same list live over "lobby:update"
+app.get("/lobby", (req, res) => res.json(lobbyListing(rooms.values())));
+
+// ?sort=rating|wins|winRate|bestTurn
+app.get("/leaderboard", (req, res) => {
+  res.json({ players: history.leaderboard(String(req.query.sort || "rating")) });
+});
+
+// --- Metrics
+// Prometheus text at /metrics. Counters are bumped as things happen; the
+// room and socket gauges are read at scrape time.
+
+const metrics = createMetrics();
+const gamesStarted = metrics.counter("farkle_games_started_total", "Games started");
+const gamesFinished = metrics.counter("farkle_games_finished_total", "Games played to a winner");
+const gameDuration = metrics.summary("farkle_game_duration_seconds", "Length of finished games");
+const socketEvents = metrics.counter("farkle_socket_events_total", "Events received from clients", true);
+const socketEventsLimited = metrics.counter("farkle_socket_events_limited_total", "Client events dropped by the rate limit", true);
+
+metrics.gauge("farkle_game_duration_average_seconds", "Average length of finished games", () => gameDuration.average());
+metrics.gauge("farkle_rooms", "Open tables by phase", () => ["lobby", "turn", "gameover"].map(phase => ({
+  labels: { phase },
+  value: Array.from(rooms.values()).filter(room => room.phase === phase).length
+})));
+metrics.gauge("farkle_sockets", "Connected sockets", () => io.of("/").sockets.size);
+
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
 /**
  * Room state shape:
  * {
  *   code: "ABC123",
- *   players: [
- *     { seat: 0, name, clientId, socketId, score, online },
- *     { seat: 1, name, clientId, socketId, score, online }
+ *   players: [  // 2..6 seats, picked by the host
+ *     { seat: 0, name, clientId, profileId, socketId, score, farkles, onBoard, seriesWins, online, offlineSince, bot? },
+ *     { seat: 1, name, clientId, profileId, socketId, score, farkles, onBoard, seriesWins, online, offlineSince, bot? },
+ *     ...
  *   ],
- *   activeSeat: 0|1,
- *   phase: "lobby"|"turn",
+ *   // clientId is a server-issued player id; clients only ever see it inside their seat token
+ *   activeSeat: seat index,
+ *   phase: "lobby"|"turn"|"gameover",
  *   turnPoints: number,
  *   dice: [1..6 x6],
- *   held: [bool x6],
- *   canRoll: bool
+ *   locked: [bool x6],    // dice set aside by earlier keeps this turn
+ *   selected: [bool x6],  // dice picked from the current roll, not yet kept
+ *   keeps: [{ dice: [values], points }],  // this turn's keeps, in order
+ *   canRoll: bool,
+ *   pot: null | { from: seat, points, dice, locked },  // piggyback offer for the active seat
+ *   turnSeconds: 0 | seconds,  // turn clock chosen at creation, 0 = off
+ *   turnEndsAt: null | ms timestamp,  // when the active player's clock runs out
+ *   finalRound: null | { triggeredBy: seat, pending: [seats still to play] },
+ *   winner: null | seat,  // set once phase is "gameover"
+ *   rematch: [seats],     // players who asked for a new game
+ *   bestOf: 1 | 3 | 5,    // games in a series; the first to win a majority takes it
+ *   seriesWinner: null | seat,
+ *   tournament: null | { code, round, index },  // this table plays a bracket match
+ *   spectators: [{ socketId, name }],  // watching, not playing
+ *   public: bool,         // listed in the lobby while it has a free seat
+ *   hotseat: bool,        // pass and play: one socket owns every seat and plays whoever is up
+ *   host: null | seat,    // the table's creator until they leave or hand it on; then the next human
+ *   tableLocked: bool,    // host has closed the table to new players (spectators still welcome)
+ *   chat: [{ at, seat, name, text }],  // last CHAT_HISTORY messages; seat null for spectators
+ *   spectatorChat: bool,  // host lets spectators read and write chat
+ *   muted: [seats],       // players the host has muted
+ *   game: number,          // counts games started at this table
+ *   fair: { seed, hash, draws },  // this game's dice seed; only the hash is public until game over
+ *   log: [{ game, at, type, seat, name, ... }],  // rules events, oldest first
+ *   updatedAt: ms timestamp of the last change
+ *   rules: { preset, label, targetScore, lastChance, ... }  // see rules.js
  * }
+ * `bot` is the AI level ("cautious"|"threshold"|"ev") for a server-driven seat.
+ * `profileId` is the player's long-lived profile (see history.js); bots use "bot:<level>".
+ * `offlineSince` is when a seated human's connection dropped (null while online).
+ * `farkles` is the current run of farkles in a row; `onBoard` is set by the
+ * first bank (it matters with an opening threshold). `seriesWins` counts games
+ * won in the current series and goes back to 0 when a new series starts.
  */
 const rooms = new Map();
 
+/**
+ * Tournament shape:
+ * {
+ *   code, phase: "signup"|"playing"|"finished",
+ *   host: playerId,  // the entrant who created it and starts the draw
+ *   preset, options: { lastChance, openingScore, farklePenalty, piggyback }, turnSeconds, bestOf,
+ *   entrants: [{ name, playerId, profileId, socketId }],  // bracket entries index into this
+ *   rounds: null | bracket,  // see tournament.js; match.room is the table playing it
+ *   updatedAt
+ * }
+ */
+const tournaments = new Map();
+
 function makeCode(len = 5) {
   const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
   let out = "";
@@ -41,458 +215,1532 @@ function makeCode(len = 5) {
   return out;
 }
 
-function newRoom() {
-  const code = makeCode(5);
+// Rooms and tournaments share one code space, so a code only ever means one thing
+function freshCode() {
+  let code = makeCode(5);
+  while (rooms.has(code) || tournaments.has(code)) code = makeCode(5);
+  return code;
+}
+
+const MIN_SEATS = 2;
+const MAX_SEATS = 6;
+
+// Turn clock lengths a table can pick, in seconds (0 = no clock)
+const TURN_CLOCK_CHOICES = [0, 30, 60, 90, 120];
+
+// Series lengths: a single game, best of 3 or best of 5
+const SERIES_CHOICES = [1, 3, 5];
+
+function emptySeat(seat) {
+  return {
+    seat, name: "—", clientId: null, profileId: null, socketId: null,
+    score: 0, farkles: 0, onBoard: false, seriesWins: 0,
+    online: false, offlineSince: null
+  };
+}
+
+function newRoom(preset, options, seatCount = MIN_SEATS, turnSeconds = 0, bestOf = 1) {
+  const code = freshCode();
+  const n = Math.min(MAX_SEATS, Math.max(MIN_SEATS, Math.floor(Number(seatCount)) || MIN_SEATS));
+  const clock = Number(turnSeconds);
+  const series = Number(bestOf);
   return {
     code,
-    players: [
-      { seat: 0, name: "—", clientId: null, socketId: null, score: 0, online: false },
-      { seat: 1, name: "—", clientId: null, socketId: null, score: 0, online: false }
-    ],
+    rules: rules.resolveRules(preset, options),
+    players: Array.from({ length: n }, (_, seat) => emptySeat(seat)),
     activeSeat: 0,
     phase: "lobby",
     turnPoints: 0,
     dice: [1, 1, 1, 1, 1, 1],
-    held: [false, false, false, false, false, false],
-    canRoll: false
+    locked: [false, false, false, false, false, false],
+    selected: [false, false, false, false, false, false],
+    keeps: [],
+    canRoll: false,
+    pot: null,
+    turnSeconds: TURN_CLOCK_CHOICES.includes(clock) ? clock : 0,
+    turnEndsAt: null,
+    finalRound: null,
+    winner: null,
+    rematch: [],
+    bestOf: SERIES_CHOICES.includes(series) ? series : 1,
+    seriesWinner: null,
+    tournament: null,
+    spectators: [],
+    public: false,
+    hotseat: false,
+    host: 0,
+    tableLocked: false,
+    chat: [],
+    spectatorChat: false,
+    muted: [],
+    game: 0,
+    fair: freshDice(0),
+    log: [],
+    updatedAt: Date.now()
   };
 }
 
+function freshDice(game) {
+  const seed = DICE_SEED ? `${DICE_SEED}:${game}` : newSeed();
+  return { seed, hash: hashSeed(seed), draws: 0 };
+}
+
+// Oldest entries drop off once a long-lived table passes this
+const LOG_LIMIT = 3000;
+
+// Add rules events to the room's log and stream them to the table
+function recordEvents(room, events) {
+  events.forEach(event => {
+    const player = room.players[event.seat !== undefined ? event.seat : event.winner];
+    const entry = { game: room.game, at: Date.now(), ...event, name: player ? player.name : null };
+    room.log.push(entry);
+    io.to(room.code).emit("room:event", entry);
+    countGame(room, entry);
+  });
+  if (room.log.length > LOG_LIMIT) room.log.splice(0, room.log.length - LOG_LIMIT);
+}
+
+// Games started and finished, for /metrics
+function countGame(room, event) {
+  if (event.type === "gameStart") gamesStarted.inc();
+  if (event.type !== "gameOver") return;
+  gamesFinished.inc();
+  const start = room.log.find(e => e.game === event.game && e.type === "gameStart");
+  if (start) gameDuration.observe((event.at - start.at) / 1000);
+}
+
+// A room read back from the store: nobody is connected any more
+function restoreRoom(saved) {
+  saved.game = saved.game || 0;
+  saved.fair = saved.fair || freshDice(saved.game);
+  saved.log = saved.log || [];
+  saved.bestOf = saved.bestOf || 1;
+  saved.seriesWinner = saved.seriesWinner === undefined ? null : saved.seriesWinner;
+  saved.tournament = saved.tournament || null;
+  saved.players.forEach(p => {
+    p.seriesWins = p.seriesWins || 0;
+    p.socketId = null;
+    p.online = !!p.bot;
+    p.offlineSince = p.clientId && !p.bot ? Date.now() : null;
+  });
+  saved.spectators = [];
+  saved.public = !!saved.public;
+  saved.hotseat = !!saved.hotseat;
+  saved.tableLocked = !!saved.tableLocked;
+  saved.host = saved.host === undefined ? 0 : saved.host;
+  saved.chat = saved.chat || [];
+  saved.spectatorChat = !!saved.spectatorChat;
+  saved.muted = saved.muted || [];
+  // The restart ate into the active player's time, so their clock starts over
+  saved.turnSeconds = saved.turnSeconds || 0;
+  startTurnClock(saved);
+  return saved;
+}
+
+// Times go out as "ms from now" so clients don't depend on their own clock
 function publicState(room) {
+  const now = Date.now();
   return {
     code: room.code,
     players: room.players.map(p => ({
       seat: p.seat,
       name: p.name,
       score: p.score,
-      online: p.online
+      online: p.online,
+      seated: !!p.clientId,
+      farkles: p.farkles || 0,
+      onBoard: !!p.onBoard,
+      seriesWins: p.seriesWins,
+      bot: p.bot ? BOT_LEVELS[p.bot].label : null,
+      forfeitInMs: p.offlineSince ? Math.max(0, p.offlineSince + FORFEIT_GRACE_MS - now) : null
     })),
     activeSeat: room.activeSeat,
     phase: room.phase,
     turnPoints: room.turnPoints,
     dice: room.dice,
-    held: room.held,
-    canRoll: room.canRoll
+    locked: room.locked,
+    selected: room.selected,
+    keeps: room.keeps,
+    canRoll: room.canRoll,
+    pot: room.pot ? { from: room.pot.from, points: room.pot.points, diceLeft: room.pot.locked.filter(l => !l).length } : null,
+    clock: room.turnSeconds
+      ? { seconds: room.turnSeconds, remainingMs: room.turnEndsAt ? Math.max(0, room.turnEndsAt - now) : null }
+      : null,
+    finalRound: room.finalRound,
+    winner: room.winner,
+    rematch: room.rematch,
+    series: room.bestOf > 1 ? { bestOf: room.bestOf, winner: room.seriesWinner } : null,
+    tournament: room.tournament ? { code: room.tournament.code, round: room.tournament.round } : null,
+    spectators: room.spectators.length,
+    public: room.public,
+    hotseat: room.hotseat,
+    host: room.host,
+    tableLocked: room.tableLocked,
+    spectatorChat: room.spectatorChat,
+    muted: room.muted,
+    fair: {
+      hash: room.fair.hash,
+      draws: room.fair.draws,
+      seed: room.phase === "gameover" ? room.fair.seed : null
+    },
+    rules: room.rules
   };
 }
 
 function emitRoom(room) {
+  room.updatedAt = Date.now();
+  store.save(room);
   io.to(room.code).emit("room:update", publicState(room));
+  scheduleBot(room);
+  scheduleTurnClock(room);
+  if (room.public) scheduleLobbyUpdate();
+}
+
+// Lobby watchers get the whole listing again, at most twice a second
+const LOBBY_UPDATE_MS = 500;
+let lobbyTimer = null;
+
+function scheduleLobbyUpdate() {
+  if (lobbyTimer) return;
+  lobbyTimer = setTimeout(() => {
+    lobbyTimer = null;
+    io.to("lobby").emit("lobby:update", lobbyListing(rooms.values()));
+  }, LOBBY_UPDATE_MS);
+}
+
+// Full event log for a table, for download or offline replay
+app.get("/rooms/:code/log.json", (req, res) => {
+  const room = rooms.get(String(req.params.code).toUpperCase());
+  if (!room) return res.status(404).json({ error: "Table not found." });
+
+  res.set("Content-Disposition", `attachment; filename="farkle-${room.code}.json"`);
+  res.json({
+    code: room.code,
+    rules: room.rules,
+    players: room.players.filter(p => p.clientId).map(p => ({ seat: p.seat, name: p.name, score: p.score })),
+    events: room.log
+  });
+});
+
+function closeRoom(room, msg) {
+  clearTimeout(botTimers.get(room.code));
+  botTimers.delete(room.code);
+  clearTimeout(clockTimers.get(room.code));
+  clockTimers.delete(room.code);
+  rooms.delete(room.code);
+  store.remove(room.code);
+  if (room.public) scheduleLobbyUpdate();
+  io.to(room.code).emit("toast", { msg });
+  // Everyone still at the table goes back to the lobby
+  io.to(room.code).emit("room:closed", { code: room.code });
+  (io.sockets.adapter.rooms.get(room.code) || []).forEach(id => {
+    const socket = io.sockets.sockets.get(id);
+    socket.data.roomCode = null;
+    socket.data.seat = null;
+  });
+  io.in(room.code).socketsLeave(room.code);
 }
 
-function seatForClient(room, clientId) {
-  return room.players.find(p => p.clientId === clientId) || null;
+function sweepRooms() {
+  const now = Date.now();
+  rooms.forEach(room => {
+    const idle = now - room.updatedAt;
+    const anyoneHere = room.players.some(p => p.socketId) || room.spectators.length > 0;
+    if (room.phase === "gameover" && idle > ROOM_FINISHED_TTL_MS) {
+      closeRoom(room, "This table has been cleared away.");
+    } else if (!anyoneHere && idle > ROOM_IDLE_TTL_MS) {
+      closeRoom(room, "This table was closed after sitting idle.");
+    }
+  });
+  tournaments.forEach(t => {
+    const idle = now - t.updatedAt;
+    const anyoneHere = t.entrants.some(e => e.socketId);
+    if ((t.phase === "finished" && idle > ROOM_FINISHED_TTL_MS) || (!anyoneHere && idle > ROOM_IDLE_TTL_MS)) {
+      tournaments.delete(t.code);
+      tournamentStore.remove(t.code);
+    }
+  });
+  // A bucket left alone this long has refilled anyway
+  apiBuckets.forEach((bucket, ip) => {
+    if (now - bucket.at > ROOM_SWEEP_MS) apiBuckets.delete(ip);
+  });
 }
 
+// Tournament seats are kept for the two players drawn into the match
 function firstOpenSeat(room) {
+  if (room.tournament) return null;
   return room.players.find(p => !p.clientId) || null;
 }
 
-function bothPlayersJoined(room) {
+function tableFull(room) {
   return room.players.every(p => !!p.clientId);
 }
 
 function resetTurn(room, startingSeat = room.activeSeat) {
+  Object.assign(room, rules.freshTurn());
   room.activeSeat = startingSeat;
-  room.phase = bothPlayersJoined(room) ? "turn" : "lobby";
-  room.turnPoints = 0;
+  room.phase = tableFull(room) ? "turn" : "lobby";
   room.dice = [1, 1, 1, 1, 1, 1];
-  room.held = [false, false, false, false, false, false];
-  room.canRoll = bothPlayersJoined(room);
+  room.canRoll = tableFull(room);
+
+  if (room.phase === "turn") {
+    room.game += 1;
+    room.fair = freshDice(room.game);
+    const players = room.players.filter(p => p.clientId).map(p => ({ seat: p.seat, name: p.name, profileId: p.profileId }));
+    recordEvents(room, [{ type: "gameStart", players, rules: room.rules.label, seedHash: room.fair.hash }]);
+  }
+  startTurnClock(room);
 }
 
 function hardResetGame(room) {
-  room.players.forEach(p => (p.score = 0));
-  room.activeSeat = 0;
-  resetTurn(room, 0);
+  // A game given up part way never reached gameOver, so its seed is still
+  // secret: reveal it before the new game's dice replace it
+  if (room.phase === "turn") recordEvents(room, [{ type: "seedReveal", seed: room.fair.seed, hash: room.fair.hash }]);
+  // A decided series starts over; otherwise this is its next game
+  const newSeries = room.seriesWinner !== null;
+  room.players.forEach(p => {
+    p.score = 0;
+    p.farkles = 0;
+    p.onBoard = false;
+    if (newSeries) p.seriesWins = 0;
+  });
+  room.seriesWinner = null;
+  room.finalRound = null;
+  room.winner = null;
+  room.rematch = [];
+  resetTurn(room, rules.firstSeat(room));
 }
 
-/**
- * Farkle scoring helpers
- * Returns { points, usedCounts } or { points: 0, usedCounts: null } if no scoring.
- */
-function scoreKeptDice(values) {
-  // values = array of dice values being kept this action (1..6)
-  if (!values || values.length === 0) return { points: 0, usedCounts: null };
-
-  const counts = [0, 0, 0, 0, 0, 0, 0];
-  values.forEach(v => (counts[v]++));
+// --- Turn actions
+// Shared by the socket handlers and the AI seat. The rules engine decides the
+// outcome; these apply it to the room and tell the table what happened.
+// Each returns an error message for the acting seat, or null on success.
 
-  const n = values.length;
-
-  // Special combos (enabled):
-  // Straight 1-6 (1500)
-  if (n === 6 && [1,2,3,4,5,6].every(v => counts[v] === 1)) {
-    return { points: 1500, usedCounts: counts };
-  }
-  // Three pairs (1500)
-  if (n === 6) {
-    const pairs = [1,2,3,4,5,6].filter(v => counts[v] === 2).length;
-    if (pairs === 3) return { points: 1500, usedCounts: counts };
+function applyResult(room, result) {
+  if (result.error) return result.error;
+  // Game over: reveal the dice seed so the whole game can be checked
+  if (result.events.some(e => e.type === "gameOver")) {
+    result.events.push({ type: "seedReveal", seed: room.fair.seed, hash: room.fair.hash });
   }
-  // Two triplets (2500)
-  if (n === 6) {
-    const trips = [1,2,3,4,5,6].filter(v => counts[v] === 3).length;
-    if (trips === 2) return { points: 2500, usedCounts: counts };
+  // Logged against the room as it was, so a player who just left keeps their name
+  recordEvents(room, result.events);
+  const turnBefore = `${room.phase}:${room.activeSeat}`;
+  Object.assign(room, result.state);
+  if (`${room.phase}:${room.activeSeat}` !== turnBefore) startTurnClock(room);
+  if (room.phase === "gameover" && result.events.some(e => e.type === "gameOver")) {
+    saveFinishedGame(room);
+    const seriesEvents = countSeriesGame(room);
+    recordEvents(room, seriesEvents);
+    result.events.push(...seriesEvents);
+    settleTournamentMatch(room);
   }
+  emitRoom(room);
+  result.events.forEach(event => announce(room, event));
+  return null;
+}
 
-  // Standard sets + singles
-  let points = 0;
+// Credit the game that just ended to its winner's series. The series is
+// theirs once they've won a majority of `bestOf`.
+function countSeriesGame(room) {
+  const winner = room.players[room.winner];
+  if (!winner) return [];
+  winner.seriesWins += 1;
+  if (winner.seriesWins <= room.bestOf / 2) return [];
+  room.seriesWinner = winner.seat;
+  return room.bestOf > 1 ? [{ type: "seriesWin", seat: winner.seat, wins: winner.seriesWins, bestOf: room.bestOf }] : [];
+}
 
-  for (let v = 1; v <= 6; v++) {
-    const c = counts[v];
-    if (c >= 6) {
-      points += 3000; // six of a kind
-      counts[v] -= 6;
-    }
-    if (counts[v] >= 5) {
-      points += 2000; // five of a kind
-      counts[v] -= 5;
+// Write the game that just ended to the match history. Everyone who started
+// it is on record; anyone who left or forfeited on the way counts as last.
+function saveFinishedGame(room) {
+  // Pass and play is one device against itself; only the owner has a profile
+  if (room.hotseat) return;
+  const events = room.log.filter(e => e.game === room.game);
+  const start = events.find(e => e.type === "gameStart");
+  if (!start) return;
+
+  const bestTurn = {};
+  const lastScore = {};
+  let turns = 0;
+  events.forEach((e, i) => {
+    if (e.type === "bank") {
+      bestTurn[e.seat] = Math.max(bestTurn[e.seat] || 0, e.points);
+      lastScore[e.seat] = e.score;
     }
-    if (counts[v] >= 4) {
-      points += 1000; // four of a kind
-      counts[v] -= 4;
-    }
-    if (counts[v] >= 3) {
-      // three of a kind: 1=1000, 2=200, 3=300 ... 6=600
-      points += (v === 1 ? 1000 : v * 100);
-      counts[v] -= 3;
+    const timedOut = e.type === "timeUp" && !(events[i + 1] && events[i + 1].type === "bank");
+    if (e.type === "bank" || e.type === "farkle" || timedOut) turns++;
+  });
+
+  const seatedNow = room.players.filter(p => p.clientId);
+  const starters = start.players.filter(p => p.profileId);
+  const joiners = seatedNow.filter(p => p.profileId && !starters.some(s => s.profileId === p.profileId));
+  const players = [...starters, ...joiners].map(p => {
+    const seat = seatedNow.find(s => s.profileId === p.profileId);
+    return {
+      profileId: p.profileId,
+      name: seat ? seat.name : p.name,
+      seat: p.seat,
+      score: seat ? seat.score : lastScore[p.seat] || 0,
+      bestTurn: bestTurn[p.seat] || 0,
+      left: !seat
+    };
+  });
+  const winner = room.players[room.winner];
+
+  history.recordGame({
+    code: room.code,
+    game: room.game,
+    rules: room.rules.label,
+    startedAt: start.at,
+    finishedAt: Date.now(),
+    durationMs: Date.now() - start.at,
+    turns,
+    winner: winner ? winner.profileId : null,
+    players
+  });
+}
+
+function announce(room, event) {
+  const to = io.to(room.code);
+  const name = event.seat === undefined ? null : room.players[event.seat].name;
+  switch (event.type) {
+    case "farkle":
+      to.emit("modal", { title: "Farkle!", body: "No scoring dice. Turn ends with 0 points." });
+      break;
+    case "keep":
+      to.emit("toast", { msg: `Kept for ${event.points} points.` });
+      break;
+    case "hotDice":
+      to.emit("toast", { msg: "Hot dice! Roll all six again." });
+      break;
+    case "farklePenalty":
+      to.emit("modal", {
+        title: "Three farkles!",
+        body: `${name} farkled three times running and loses ${event.points} points.`
+      });
+      break;
+    case "potTaken":
+      to.emit("toast", { msg: `${name} steals the pot of ${event.points}!` });
+      break;
+    case "timeUp":
+      to.emit("toast", { msg: `${name} ran out of time.` });
+      break;
+    case "finalRound":
+      to.emit("modal", {
+        title: "Last chance!",
+        body: `${name} reached ${event.score}. Everyone else gets one final turn to beat it.`
+      });
+      break;
+    case "gameOver": {
+      const seated = room.players.filter(p => p.clientId);
+      const scores = seated.map(p => `${p.name} ${p.score}`).join(" · ");
+      const winner = room.players[event.winner].name;
+      const series = room.bestOf > 1 ? ` Series: ${seated.map(p => `${p.name} ${p.seriesWins}`).join(" · ")}.` : "";
+      to.emit("modal", {
+        title: room.bestOf > 1 && room.seriesWinner !== null ? `${winner} wins the series!` : "Game over!",
+        body: `${winner} wins! Final scores: ${scores}.${series}`
+      });
+      break;
     }
   }
+}
+
+function actRoll(room, seat) {
+  if (room.phase === "lobby") return "Waiting for all players to join.";
+
+  const rng = createSeededRng(room.fair.seed, room.fair.draws);
+  const result = rules.roll(room, seat, room.rules, rng.rollDie);
+  if (result.error) return result.error;
+
+  // Note where in the seed's sequence this roll started, for verification
+  result.events[0].draw = room.fair.draws;
+  result.state.fair = { ...room.fair, draws: rng.draws };
+  return applyResult(room, result);
+}
+
+function actToggleHold(room, seat, idx) {
+  return applyResult(room, rules.toggleSelect(room, seat, idx));
+}
+
+function actKeep(room, seat) {
+  return applyResult(room, rules.keep(room, seat, room.rules));
+}
+
+function actBank(room, seat) {
+  return applyResult(room, rules.bank(room, seat, room.rules));
+}
+
+function actTakePot(room, seat) {
+  return applyResult(room, rules.takePot(room, seat, room.rules));
+}
+
+// Anyone offline past the grace period is taken off the table, as if they
+// had left; with one player remaining, that player wins.
+function actClaimForfeit(room, seat) {
+  if (room.phase !== "turn") return "No game in progress.";
+  const now = Date.now();
+  const gone = room.players.filter(p => p.seat !== seat && p.offlineSince && now - p.offlineSince >= FORFEIT_GRACE_MS);
+  if (!gone.length) return "Nobody has been away long enough to forfeit.";
+
+  let state = room;
+  const events = [];
+  gone.forEach(p => {
+    const players = state.players.map(q => (q.seat === p.seat ? emptySeat(p.seat) : q));
+    const result = rules.seatLeft({ ...state, players }, p.seat, seat);
+    state = result.state;
+    events.push(...result.events);
+  });
+  room.rematch = room.rematch.filter(s => !gone.includes(room.players[s]));
+  const names = gone.map(p => p.name).join(", ");
+  applyResult(room, { state, events });
+  seatsVacated(room);
+  io.to(room.code).emit("toast", { msg: `${names} forfeited for being away too long.` });
+  return null;
+}
+
+// A new game wipes the scores, so every seated human has to agree to it.
+// AI seats always accept.
+function actRematch(room, seat) {
+  const player = room.players[seat];
+  if (!player || !player.clientId) return "Only seated players can start a new game.";
+  const match = tournamentMatch(room);
+  if (match && match.winner !== null) return "This match is decided. Check the bracket for what's next.";
+
+  // At a hot-seat table the one device speaks for every seat
+  const asking = room.hotseat ? room.players.map(p => p.seat) : [seat];
+  asking.forEach(s => room.rematch.includes(s) || room.rematch.push(s));
+  const waiting = room.players.filter(p => p.clientId && !p.bot && !room.rematch.includes(p.seat));
+
+  if (waiting.length === 0) {
+    hardResetGame(room);
+    emitRoom(room);
+    io.to(room.code).emit("toast", { msg: `New game started. ${room.players[room.activeSeat].name} to roll.` });
+    return null;
+  }
+
+  emitRoom(room);
+  io.to(room.code).emit("toast", { msg: `${player.name} wants a new game. Press New game to accept.` });
+  return null;
+}
 
-  // Singles: 1 = 100, 5 = 50
-  points += counts[1] * 100;
-  points += counts[5] * 50;
-
-  // If the keep had any non-scoring dice, remind: in real farkle you cannot keep non-scoring dice.
-  // We enforce that by requiring ALL kept dice be part of scoring.
-  // To do that, recompute "used dice" vs original counts:
-  // easiest: scoreKeptDice should reject if any die is non-scoring under optimal decomposition.
-  //
-  // We'll enforce stricter: if points==0, reject. But also if kept contains non-scoring.
-  // Approx enforcement:
-  const original = [0,0,0,0,0,0,0];
-  values.forEach(v => (original[v]++));
-  // If points > 0, we still need to ensure every kept die contributed.
-  // We'll simulate "consumed" by subtracting leftovers (counts) from original.
-  // But counts currently holds leftovers after using sets and singles scoring.
-  // For v=2,3,4,6 leftovers are non-scoring; for v=1,5 leftovers are also scoring singles.
-  // Therefore: any leftover for v in {2,3,4,6} means non-scoring dice were kept -> invalid.
-  if (counts[2] || counts[3] || counts[4] || counts[6]) {
-    return { points: 0, usedCounts: null };
+// --- AI seat
+// The bot takes one paced step at a time whenever it holds the active seat.
+// Timers live outside the room, so reconnecting humans never disturb them.
+const BOT_STEP_MS = 1100;
+const botTimers = new Map(); // room code -> pending timeout
+
+function scheduleBot(room) {
+  if (botTimers.has(room.code)) return;
+  const player = room.players[room.activeSeat];
+  if (!player || !player.bot || room.phase !== "turn") return;
+
+  botTimers.set(room.code, setTimeout(() => runBotStep(room.code), BOT_STEP_MS));
+}
+
+function runBotStep(code) {
+  botTimers.delete(code);
+  const room = rooms.get(code);
+  if (!room) return;
+
+  const seat = room.activeSeat;
+  if (!room.players[seat].bot || room.phase !== "turn") return;
+
+  const move = planBotMove(room, seat);
+  if (move.type === "roll") {
+    actRoll(room, seat);
+  } else if (move.type === "bank") {
+    actBank(room, seat);
+  } else if (move.type === "select") {
+    // Selection and keep are separate steps so humans can see what was picked
+    move.idx.forEach(i => actToggleHold(room, seat, i));
+  } else if (move.type === "keep") {
+    if (actKeep(room, seat)) actBank(room, seat);
+  } else if (move.type === "takePot") {
+    actTakePot(room, seat);
   }
-  // For 1 and 5 leftovers are fine (they're singles and were scored above).
-  // So if points computed and no invalid leftovers, accept.
-  return { points, usedCounts: original };
 }
 
-function rollDice(room) {
-  // roll only dice that are not held
-  for (let i = 0; i < 6; i++) {
-    if (!room.held[i]) room.dice[i] = 1 + Math.floor(Math.random() * 6);
+// --- Turn clock
+// One timer per room, re-armed on every update; when it fires the active
+// player's turn is banked or passed for them.
+const clockTimers = new Map(); // room code -> pending timeout
+
+function startTurnClock(room) {
+  room.turnEndsAt = room.phase === "turn" && room.turnSeconds ? Date.now() + room.turnSeconds * 1000 : null;
+}
+
+function scheduleTurnClock(room) {
+  clearTimeout(clockTimers.get(room.code));
+  clockTimers.delete(room.code);
+  if (!room.turnEndsAt || room.phase !== "turn") return;
+
+  const wait = Math.max(0, room.turnEndsAt - Date.now());
+  clockTimers.set(room.code, setTimeout(() => runTurnClock(room.code), wait));
+}
+
+function runTurnClock(code) {
+  clockTimers.delete(code);
+  const room = rooms.get(code);
+  if (!room || room.phase !== "turn" || !room.turnEndsAt || Date.now() < room.turnEndsAt) return;
+  applyResult(room, rules.timeUp(room, room.activeSeat, room.rules));
+}
+
+// --- Host and table chat
+// Chat goes to seated players, plus spectators when the host allows it.
+
+// Empty a seat for good. The game carries on without that player, or ends
+// if they were the last opponent.
+function freeSeat(room, seat) {
+  const players = room.players.map(p => (p.seat === seat ? emptySeat(seat) : p));
+  room.rematch = room.rematch.filter(s => s !== seat);
+  applyResult(room, rules.seatLeft({ ...room, players }, seat));
+  seatsVacated(room);
+}
+
+// After seats empty out: hand the host role on and forget mutes on free seats
+function seatsVacated(room) {
+  room.muted = room.muted.filter(s => room.players[s].clientId);
+  const host = room.players[room.host];
+  if (!host || !host.clientId || host.bot) {
+    const next = room.players.find(p => p.clientId && !p.bot);
+    room.host = next ? next.seat : null;
   }
+  settleTournamentMatch(room);
+  emitRoom(room);
 }
 
-function availableDiceValues(room) {
-  // values of unheld dice
-  const vals = [];
-  for (let i = 0; i < 6; i++) if (!room.held[i]) vals.push(room.dice[i]);
-  return vals;
+function chatReaders(room) {
+  const ids = room.players.filter(p => p.socketId).map(p => p.socketId);
+  if (room.spectatorChat) room.spectators.forEach(s => ids.push(s.socketId));
+  return ids;
 }
 
-// Determine if a roll is a "farkle" (no scoring dice/combo available among unheld dice)
-function isFarkle(room) {
-  const vals = availableDiceValues(room);
-  if (vals.length === 0) return false;
+function emitChat(room, event, payload) {
+  chatReaders(room).forEach(id => io.to(id).emit(event, payload));
+}
 
-  // Quick checks: any 1 or 5 scores
-  if (vals.includes(1) || vals.includes(5)) return false;
+// Error message if this socket may not chat at the table, else null
+function chatError(room, socket) {
+  const seat = socket.data.seat;
+  if (seat === null) return room.spectatorChat ? null : "Chat is for players at this table.";
+  if (room.players[seat].socketId !== socket.id) return "Your seat is connected somewhere else.";
+  if (room.muted.includes(seat)) return "The host has muted you.";
+  return null;
+}
 
-  // counts
-  const c = [0,0,0,0,0,0,0];
-  vals.forEach(v => (c[v]++));
+function sendChatHistory(room, socket) {
+  const canRead = socket.data.seat !== null || room.spectatorChat;
+  socket.emit("chat:history", canRead ? room.chat : []);
+}
+
+function roomForSocket(socket) {
+  const code = socket.data.roomCode;
+  if (!code) return null;
+  return rooms.get(code) || null;
+}
 
-  // any three+ of a kind scores
-  for (let v = 1; v <= 6; v++) if (c[v] >= 3) return false;
+// Room for the socket that currently owns a seat. Spectators, and stale
+// sockets whose seat has since reconnected elsewhere, are turned away.
+function seatedRoom(socket) {
+  const room = roomForSocket(socket);
+  if (!room) return null;
+  if (socket.data.seat === null) {
+    socket.emit("toast", { msg: "Spectators can't play. Take a free seat first." });
+    return null;
+  }
+  // The hot-seat device acts for whoever's turn it is
+  if (room.hotseat) socket.data.seat = room.activeSeat;
+  if (room.players[socket.data.seat].socketId !== socket.id) {
+    socket.emit("toast", { msg: "Your seat is connected somewhere else." });
+    return null;
+  }
+  return room;
+}
 
-  // special combos among all 6 unheld (if all 6 unheld)
-  if (vals.length === 6) {
-    const straight = [1,2,3,4,5,6].every(v => c[v] === 1);
-    if (straight) return false;
+// Room for the host's socket; anyone else is told they can't `what`. At a
+// hot-seat table the one device is always the host.
+function hostedRoom(socket, what) {
+  const room = seatedRoom(socket);
+  if (!room) return null;
+  if (!room.hotseat && room.host !== socket.data.seat) {
+    socket.emit("toast", { msg: `Only the host can ${what}.` });
+    return null;
+  }
+  return room;
+}
 
-    const pairs = [1,2,3,4,5,6].filter(v => c[v] === 2).length;
-    if (pairs === 3) return false;
+// A new table from a room:create payload (or POST /api/v1/tables), with
+// seat 0 left for its creator
+function createTable({
+  ai, hotseat, preset, lastChance, openingScore, farklePenalty, piggyback, seats, turnSeconds, bestOf, public: listed
+}) {
+  // Pass and play: `hotseat` names everyone sharing this device besides the creator
+  const guests = !ai && Array.isArray(hotseat) ? hotseat.slice(0, MAX_SEATS - 1) : [];
+  // AI tables are always heads-up; neither they nor hot-seat tables are listed
+  const options = { lastChance, openingScore, farklePenalty, piggyback };
+  const room = newRoom(preset, options, ai ? 2 : guests.length ? guests.length + 1 : seats, turnSeconds, bestOf);
+  room.public = !ai && !guests.length && listed === true;
+  room.hotseat = guests.length > 0;
+  rooms.set(room.code, room);
+
+  guests.forEach((guest, i) => {
+    const seat = room.players[i + 1];
+    seat.name = cleanName(guest, `Player ${seat.seat + 1}`);
+    seat.clientId = newPlayerId();
+  });
 
-    const trips = [1,2,3,4,5,6].filter(v => c[v] === 3).length;
-    if (trips === 2) return false;
+  // "Play vs AI": the bot takes seat 1 straight away
+  if (ai) {
+    const level = Object.hasOwn(BOT_LEVELS, ai) ? ai : "threshold";
+    const p1 = room.players[1];
+    p1.name = BOT_LEVELS[level].name;
+    p1.clientId = `bot:${makeCode(8)}`;
+    p1.profileId = `bot:${level}`;
+    p1.bot = level;
+    history.ensureProfile(p1.profileId, p1.name, level);
+    p1.online = true;
   }
+  return room;
+}
+
+// --- Payload checks
+
+const CODE_RE = /^[A-Z0-9]{4,8}$/;
+
+function cleanName(name, fallback) {
+  if (typeof name !== "string") return fallback;
+  const clean = name.replace(/[\u0000-\u001f\u007f<>]/g, "").trim().slice(0, 20);
+  return clean || fallback;
+}
+
+function cleanCode(code) {
+  if (typeof code !== "string") return null;
+  const clean = code.trim().toUpperCase();
+  return CODE_RE.test(clean) ? clean : null;
+}
 
+function allowEvent(bucket) {
+  const now = Date.now();
+  bucket.tokens = Math.min(RATE_BURST, bucket.tokens + ((now - bucket.at) / 1000) * RATE_PER_SEC);
+  bucket.at = now;
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
   return true;
 }
 
-function hotDiceReset(room) {
-  // If all dice are held (player scored with all 6), they get "hot dice": reset holds and roll again.
-  if (room.held.every(Boolean)) {
-    room.held = [false, false, false, false, false, false];
-    room.canRoll = true;
-    return true;
-  }
-  return false;
+// The profile behind this socket: the one its token proves, or a brand new
+// one. The client keeps the token from "profile" in localStorage.
+function claimProfile(socket, name) {
+  const profile = resolveProfile(socket.data.profileToken, name);
+  socket.data.profileToken = profile.token;
+  socket.emit("profile", profile);
+  return profile.id;
 }
 
-io.on("connection", (socket) => {
+// { id, name, token } for the profile a token proves, or a brand new one
+function resolveProfile(token, name) {
+  const id = profileTokens.verify(token) || newPlayerId();
+  const profile = history.ensureProfile(id, name);
+  return { id, name: profile.name, token: profileTokens.issue(id) };
+}
+
+// Give an open seat to a new player; `profileId(name)` picks their profile
+function claimSeat(room, seatObj, name, profileId) {
+  seatObj.clientId = newPlayerId();
+  seatObj.name = cleanName(name, `Player ${seatObj.seat + 1}`);
+  seatObj.profileId = profileId(seatObj.name);
+  if (room.host === null) room.host = seatObj.seat;
+}
+
+// If the last seat just filled, start turn phase (lowest seat rolls first).
+// Reconnects and mid-game joins into a vacated seat leave the turn alone.
+function startIfFull(room) {
+  if (room.phase === "lobby" && tableFull(room)) resetTurn(room, rules.firstSeat(room));
+}
+
+const matchQueue = createMatchQueue();
+
+// A socket sitting down or watching somewhere stops browsing and queueing
+function leaveLobby(socket) {
+  matchQueue.leave(socket.id);
+  socket.leave("lobby");
+}
+
+// Seat a quick-match pair at a new table of their own; the longest
+// waiting player gets seat 0
+function startMatch(pair) {
+  const room = newRoom(pair[0].preset, {}, pair.length);
+  rooms.set(room.code, room);
+  pair.forEach((entry, seat) => {
+    const socket = io.sockets.sockets.get(entry.id);
+    socket.data.profileToken = entry.profile;
+    takeSeat(room, room.players[seat], socket, entry.name);
+    socket.emit("toast", { msg: "Match found. Good luck!" });
+  });
+}
+
+// Bind a seat to this socket, claiming it first if it's open. The client
+// gets a fresh signed token for the seat in "room:joined".
+function takeSeat(room, seatObj, socket, name) {
+  if (socket.data.roomCode !== room.code) detachSocket(socket);
+  if (!seatObj.clientId) claimSeat(room, seatObj, name, (clean) => claimProfile(socket, clean));
+  // A hot-seat table is one device, so its socket holds every seat
+  (room.hotseat ? room.players : [seatObj]).forEach(p => {
+    p.socketId = socket.id;
+    p.online = true;
+    p.offlineSince = null;
+  });
+
+  leaveLobby(socket);
+  socket.join(room.code);
+  socket.data.roomCode = room.code;
+  socket.data.clientId = seatObj.clientId;
+  socket.data.seat = seatObj.seat;
+
+  startIfFull(room);
+  emitRoom(room);
+  const token = seatTokens.issue(room.code, seatObj.seat, seatObj.clientId);
+  socket.emit("room:joined", { code: room.code, seat: seatObj.seat, token });
+  socket.emit("room:log", room.log);
+  sendChatHistory(room, socket);
+}
+
+function watchRoom(room, socket, name) {
+  if (socket.data.roomCode !== room.code) detachSocket(socket);
+  room.spectators = room.spectators.filter(s => s.socketId !== socket.id);
+  room.spectators.push({ socketId: socket.id, name: cleanName(name, "Spectator") });
+
+  leaveLobby(socket);
+  socket.join(room.code);
+  socket.data.roomCode = room.code;
+  socket.data.clientId = null;
+  socket.data.seat = null;
+
+  emitRoom(room);
+  socket.emit("room:joined", { code: room.code, seat: null, spectator: true });
+  socket.emit("room:log", room.log);
+  sendChatHistory(room, socket);
+}
+
+// Unbind a socket from its table, on disconnect or before it moves to
+// another one: it stops getting that table's updates, stops watching, and
+// any seat it held shows as offline (the seat itself is kept for it)
+function detachSocket(socket) {
+  const room = roomForSocket(socket);
+  const seat = socket.data.seat;
+  if (socket.data.roomCode) socket.leave(socket.data.roomCode);
   socket.data.roomCode = null;
   socket.data.clientId = null;
   socket.data.seat = null;
+  if (!room) return;
 
-  socket.on("room:create", ({ name, clientId }) => {
-    const room = newRoom();
-    rooms.set(room.code, room);
+  if (seat === null) {
+    if (removeSpectator(room, socket.id)) emitRoom(room);
+    return;
+  }
 
-    // seat 0 becomes creator
-    const p0 = room.players[0];
-    p0.name = (name || "Player 1").slice(0, 20);
-    p0.clientId = clientId;
-    p0.socketId = socket.id;
-    p0.online = true;
-
-    socket.join(room.code);
-    socket.data.roomCode = room.code;
-    socket.data.clientId = clientId;
-    socket.data.seat = 0;
-
-    resetTurn(room, 0);
-    emitRoom(room);
-    socket.emit("room:joined", { code: room.code, seat: 0 });
+  // Only mark seats offline that this socket still holds (every seat at a
+  // hot-seat table, otherwise just its own)
+  const held = room.players.filter(p => p.socketId === socket.id);
+  if (!held.length) return;
+  held.forEach(p => {
+    p.online = false;
+    p.socketId = null;
+    p.offlineSince = Date.now();
   });
+  emitRoom(room);
+}
 
-  socket.on("room:join", ({ code, name, clientId }) => {
-    const room = rooms.get(code);
-    if (!room) {
-      socket.emit("toast", { msg: "Table not found." });
-      return;
-    }
+function removeSpectator(room, socketId) {
+  const before = room.spectators.length;
+  room.spectators = room.spectators.filter(s => s.socketId !== socketId);
+  return room.spectators.length !== before;
+}
 
-    // If this clientId already has a seat, treat as reconnect
-    let seatObj = seatForClient(room, clientId);
-
-    if (!seatObj) {
-      // Otherwise take first open seat
-      seatObj = firstOpenSeat(room);
-      if (!seatObj) {
-        socket.emit("toast", { msg: "Table is full." });
-        return;
-      }
-      seatObj.clientId = clientId;
-      seatObj.name = (name || `Player ${seatObj.seat + 1}`).slice(0, 20);
-      seatObj.score = seatObj.score || 0;
-    }
+// --- Tournaments
+// Players sign up with a code, the host draws the bracket, and every match
+// gets a private two-seat table with both seats kept for its players. A
+// match is won by taking its series, or by the opponent leaving or forfeiting.
 
-    // Bind this seat to THIS socket
-    seatObj.socketId = socket.id;
-    seatObj.online = true;
-
-    socket.join(room.code);
-    socket.data.roomCode = room.code;
-    socket.data.clientId = clientId;
-    socket.data.seat = seatObj.seat;
-
-    // If both players joined, start turn phase (seat 0 rolls first)
-    if (bothPlayersJoined(room)) {
-      room.phase = "turn";
-      room.activeSeat = 0;
-      room.turnPoints = 0;
-      room.held = [false, false, false, false, false, false];
-      room.canRoll = true;
-    }
+function publicTournament(t) {
+  const rulesInfo = rules.resolveRules(t.preset, t.options);
+  return {
+    code: t.code,
+    phase: t.phase,
+    host: t.entrants.findIndex(e => e.playerId === t.host),
+    bestOf: t.bestOf,
+    turnSeconds: t.turnSeconds,
+    rules: rulesInfo,
+    entrants: t.entrants.map(e => ({ name: e.name, online: !!e.socketId })),
+    rounds: t.rounds && t.rounds.map(matches => matches.map(m => {
+      const room = m.room && rooms.get(m.room);
+      return {
+        players: m.players,
+        winner: m.winner,
+        room: m.room,
+        wins: room ? room.players.map(p => p.seriesWins) : null
+      };
+    })),
+    champion: t.rounds ? tourney.champion(t.rounds) : null
+  };
+}
 
-    emitRoom(room);
-    socket.emit("room:joined", { code: room.code, seat: seatObj.seat });
+function emitTournament(t) {
+  t.updatedAt = Date.now();
+  tournamentStore.save(t);
+  io.to(`t:${t.code}`).emit("tournament:update", publicTournament(t));
+}
+
+// The undecided match an entrant has a table for, if any
+function currentMatch(t, entrant) {
+  if (!t.rounds) return null;
+  for (const matches of t.rounds) {
+    const match = matches.find(m => m.room && m.winner === null && m.players.includes(entrant));
+    if (match) return match;
+  }
+  return null;
+}
+
+// Point an entrant at their table, with the token that claims their seat there
+function sendMatch(t, entrant) {
+  const e = t.entrants[entrant];
+  const socket = e.socketId && io.sockets.sockets.get(e.socketId);
+  const match = currentMatch(t, entrant);
+  const room = match && rooms.get(match.room);
+  if (!socket || !room) return;
+  const seat = match.players.indexOf(entrant);
+  const token = seatTokens.issue(room.code, seat, room.players[seat].clientId);
+  socket.emit("tournament:match", { code: room.code, seat, token });
+}
+
+// Give every match whose players are known a table, and send both players to it.
+// Seats start out "offline" so a no-show can be claimed as a forfeit.
+function openMatches(t) {
+  tourney.readyMatches(t.rounds).forEach(({ round, index, match }) => {
+    const room = newRoom(t.preset, t.options, 2, t.turnSeconds, t.bestOf);
+    room.tournament = { code: t.code, round, index };
+    match.players.forEach((entrant, seat) => {
+      const e = t.entrants[entrant];
+      Object.assign(room.players[seat], {
+        name: e.name, clientId: newPlayerId(), profileId: e.profileId, offlineSince: Date.now()
+      });
+    });
+    rooms.set(room.code, room);
+    store.save(room);
+    match.room = room.code;
+    match.players.forEach(entrant => sendMatch(t, entrant));
   });
+}
 
-  socket.on("game:new", () => {
-    const code = socket.data.roomCode;
-    if (!code) return;
-    const room = rooms.get(code);
-    if (!room) return;
+// The bracket match a tournament table is playing, if it still exists
+function tournamentMatch(room) {
+  const t = room.tournament && tournaments.get(room.tournament.code);
+  return t ? t.rounds[room.tournament.round][room.tournament.index] : null;
+}
 
-    // Only allow if at least one player is seated
-    hardResetGame(room);
-    emitRoom(room);
-    io.to(code).emit("toast", { msg: "New game started. Seat 0 to roll." });
+// Called whenever a tournament table's game ends or a seat empties: once the
+// series is won, or only one player is left, the winner moves on
+function settleTournamentMatch(room) {
+  const match = tournamentMatch(room);
+  if (!match || match.winner !== null) return;
+  const t = tournaments.get(room.tournament.code);
+
+  const seated = room.players.filter(p => p.clientId);
+  const seat = room.seriesWinner !== null ? room.seriesWinner : seated.length === 1 ? seated[0].seat : null;
+  if (seat === null) return;
+
+  tourney.recordWinner(t.rounds, room.tournament.round, room.tournament.index, match.players[seat]);
+  const champion = tourney.champion(t.rounds);
+  if (champion !== null) {
+    t.phase = "finished";
+    io.to(`t:${t.code}`).emit("toast", { msg: `${t.entrants[champion].name} wins the tournament!` });
+  }
+  openMatches(t);
+  emitTournament(t);
+}
+
+// Bind this socket to an entrant and hand out the token that proves it later
+function enterTournament(t, socket, entrant) {
+  const e = t.entrants[entrant];
+  e.socketId = socket.id;
+  socket.join(`t:${t.code}`);
+  socket.data.tournament = t.code;
+  const token = seatTokens.issue(t.code, entrant, e.playerId);
+  socket.emit("tournament:joined", { code: t.code, entrant, token });
+  emitTournament(t);
+  sendMatch(t, entrant);
+}
+
+function signUp(t, socket, name) {
+  const e = { name: cleanName(name, `Player ${t.entrants.length + 1}`), playerId: newPlayerId(), profileId: null, socketId: null };
+  e.profileId = claimProfile(socket, e.name);
+  t.entrants.push(e);
+  if (!t.host) t.host = e.playerId;
+  enterTournament(t, socket, t.entrants.length - 1);
+}
+
+// Unbind this socket from its tournament. Before the draw, `withdraw` also
+// takes the player off the list; after it they keep their place.
+function dropTournament(socket, withdraw) {
+  const t = tournaments.get(socket.data.tournament);
+  socket.data.tournament = null;
+  if (!t) return;
+  socket.leave(`t:${t.code}`);
+  const entrant = t.entrants.findIndex(e => e.socketId === socket.id);
+  if (entrant === -1) return;
+
+  if (!withdraw || t.phase !== "signup") {
+    t.entrants[entrant].socketId = null;
+    return emitTournament(t);
+  }
+  const [gone] = t.entrants.splice(entrant, 1);
+  if (!t.entrants.length) {
+    tournaments.delete(t.code);
+    return tournamentStore.remove(t.code);
+  }
+  if (t.host === gone.playerId) t.host = t.entrants[0].playerId;
+  // Everyone after the leaver moved up a place; their tokens still hold
+  t.entrants.forEach((e, i) => {
+    const other = e.socketId && io.sockets.sockets.get(e.socketId);
+    if (other) other.emit("tournament:joined", { code: t.code, entrant: i, token: seatTokens.issue(t.code, i, e.playerId) });
   });
+  emitTournament(t);
+}
 
-  socket.on("turn:roll", () => {
-    const code = socket.data.roomCode;
-    if (!code) return;
-    const room = rooms.get(code);
-    if (!room) return;
+// --- HTTP API
+// The socket protocol's table actions as JSON over HTTP, for bots and
+// integration tests. Seats are proven with the same signed seat tokens
+// (Authorization: Bearer <token>), every change goes out to the table's
+// sockets through emitRoom, and errors come back as { error }.
 
-    if (!bothPlayersJoined(room)) {
-      socket.emit("toast", { msg: "Waiting for both players to join." });
-      return;
-    }
-    if (room.phase !== "turn") {
-      socket.emit("toast", { msg: "Game not ready." });
-      return;
-    }
-    if (socket.data.seat !== room.activeSeat) {
-      socket.emit("toast", { msg: "Not your turn." });
+const api = express.Router();
+const apiBuckets = new Map(); // client address -> rate limit bucket
+
+// Shared with the admin endpoints
+function limitByAddress(req, res, next) {
+  if (!apiBuckets.has(req.ip)) apiBuckets.set(req.ip, { tokens: RATE_BURST, at: Date.now() });
+  if (!allowEvent(apiBuckets.get(req.ip))) return res.status(429).json({ error: "Easy there, matey. Too many actions." });
+  next();
+}
+
+api.use(express.json({ limit: "16kb" }));
+api.use(limitByAddress);
+
+api.use((req, res, next) => {
+  req.body = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+  next();
+});
+
+api.param("code", (req, res, next, code) => {
+  req.room = rooms.get(cleanCode(code));
+  if (!req.room) return res.status(404).json({ error: "Table not found." });
+  next();
+});
+
+// HTTP players have no socket to drop, so any request keeps their seat online
+function seenOverHttp(seatObj) {
+  if (seatObj.socketId) return;
+  seatObj.online = true;
+  seatObj.offlineSince = null;
+}
+
+function seatOverHttp(room, seatObj, name, profileToken) {
+  let profile = null;
+  if (!seatObj.clientId) {
+    claimSeat(room, seatObj, name, (clean) => (profile = resolveProfile(profileToken, clean)).id);
+  }
+  seenOverHttp(seatObj);
+  startIfFull(room);
+  emitRoom(room);
+  return {
+    code: room.code,
+    seat: seatObj.seat,
+    token: seatTokens.issue(room.code, seatObj.seat, seatObj.clientId),
+    profile,
+    state: publicState(room)
+  };
+}
+
+// Same body as room:create; the creator takes seat 0
+api.post("/tables", (req, res) => {
+  const room = createTable(req.body);
+  res.status(201).json(seatOverHttp(room, room.players[0], req.body.name, req.body.profile));
+});
+
+api.get("/tables/:code", (req, res) => res.json(publicState(req.room)));
+
+// A token for a seat at this table takes that seat back; otherwise the
+// first open seat. There's no spectating over HTTP.
+api.post("/tables/:code/join", (req, res) => {
+  const { room } = req;
+  const { name, token, profile } = req.body;
+  const claim = seatTokens.verify(token);
+  const mine = claim && claim.code === room.code ? room.players[claim.seat] : null;
+  if (mine && mine.clientId === claim.playerId) return res.json(seatOverHttp(room, mine, name, profile));
+
+  if (room.tableLocked) return res.status(403).json({ error: "The host has locked this table." });
+  const open = firstOpenSeat(room);
+  if (!open) return res.status(409).json({ error: "Table is full." });
+  res.json(seatOverHttp(room, open, name, profile));
+});
+
+const API_ACTIONS = {
+  roll: (room, seat) => actRoll(room, seat),
+  select: (room, seat, { idx }) => actToggleHold(room, seat, idx),
+  keep: (room, seat) => actKeep(room, seat),
+  bank: (room, seat) => actBank(room, seat),
+  takePot: (room, seat) => actTakePot(room, seat),
+  newGame: (room, seat) => actRematch(room, seat)
+};
+
+api.post("/tables/:code/:action", (req, res) => {
+  const { room } = req;
+  const act = Object.hasOwn(API_ACTIONS, req.params.action) ? API_ACTIONS[req.params.action] : null;
+  if (!act) return res.status(404).json({ error: "Unknown action." });
+
+  const auth = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+  const claim = auth && seatTokens.verify(auth[1]);
+  if (!claim) return res.status(401).json({ error: "A seat token is required." });
+  const mine = claim.code === room.code ? room.players[claim.seat] : null;
+  if (!mine || mine.clientId !== claim.playerId) return res.status(403).json({ error: "That seat isn't yours any more." });
+  seenOverHttp(mine);
+
+  // The hot-seat device acts for whoever's turn it is
+  const err = act(room, room.hotseat ? room.activeSeat : mine.seat, req.body);
+  if (err) return res.status(400).json({ error: err });
+  res.json({ state: publicState(room) });
+});
+
+// Anything else under /api/v1 answers in JSON too, not with Express's HTML pages
+api.use((req, res) => res.status(404).json({ error: "Not found." }));
+
+// Express knows an error handler by its four arguments, so `next` stays
+api.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") return res.status(400).json({ error: "Invalid JSON." });
+  // Other body errors (too large, bad charset) carry their own 4xx status
+  if (err.expose) return res.status(err.status).json({ error: err.message });
+  console.error(err);
+  res.status(500).json({ error: "Something went wrong." });
+});
+
+app.use("/api/v1", api);
+
+// --- Admin
+// /admin lists every table and can close one that's stuck. Its endpoints
+// want ADMIN_PASSWORD as a bearer token; with no password set they're off.
+
+function isAdminPassword(given) {
+  const digest = (text) => crypto.createHash("sha256").update(String(text)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(ADMIN_PASSWORD));
+}
+
+const admin = express.Router();
+
+admin.use(limitByAddress);
+
+admin.use((req, res, next) => {
+  if (!ADMIN_PASSWORD) return res.status(404).json({ error: "Set ADMIN_PASSWORD to use the admin page." });
+  const auth = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+  if (!auth || !isAdminPassword(auth[1])) return res.status(401).json({ error: "Wrong password." });
+  next();
+});
+
+// Newest activity first
+admin.get("/rooms", (req, res) => {
+  res.json(Array.from(rooms.values())
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .map(room => ({ updatedAt: room.updatedAt, state: publicState(room) })));
+});
+
+admin.post("/rooms/:code/close", (req, res) => {
+  const room = rooms.get(cleanCode(req.params.code));
+  if (!room) return res.status(404).json({ error: "Table not found." });
+  closeRoom(room, "An admin closed this table.");
+  res.json({ closed: room.code });
+});
+
+app.get("/admin", (req, res) => res.sendFile(path.join(__dirname, "public", "admin.html")));
+app.use("/admin", admin);
+
+io.on("connection", (socket) => {
+  socket.data.roomCode = null;
+  socket.data.clientId = null;
+  socket.data.seat = null;
+  socket.data.profileToken = null;
+  socket.data.tournament = null;
+  socket.data.bucket = { tokens: RATE_BURST, at: Date.now() };
+
+  // Every client event goes through here: rate limited, payload always an object
+  const on = (event, handler) => socket.on(event, (payload) => {
+    if (!allowEvent(socket.data.bucket)) {
+      socketEventsLimited.inc({ event });
+      socket.emit("toast", { msg: "Easy there, matey. Too many actions." });
       return;
     }
-    if (!room.canRoll) {
-      socket.emit("toast", { msg: "You must KEEP or BANK first." });
+    socketEvents.inc({ event });
+    handler(payload && typeof payload === "object" ? payload : {});
+  });
+
+  on("room:create", (options) => {
+    socket.data.profileToken = options.profile;
+    // seat 0 becomes creator
+    const room = createTable(options);
+    takeSeat(room, room.players[0], socket, options.name);
+  });
+
+  on("room:join", ({ code, name, token, profile, spectate }) => {
+    socket.data.profileToken = profile;
+    const room = rooms.get(cleanCode(code));
+    if (!room) {
+      socket.emit("toast", { msg: "Table not found." });
       return;
     }
 
-    rollDice(room);
-    room.canRoll = false; // after roll, must keep/bank (or keep to continue)
-    emitRoom(room);
+    // A valid token for a seat at this table is a reconnect
+    const claim = seatTokens.verify(token);
+    const mine = claim && claim.code === room.code ? room.players[claim.seat] : null;
+    if (mine && mine.clientId === claim.playerId) return takeSeat(room, mine, socket, name);
 
-    if (isFarkle(room)) {
-      // Farkle: lose turn points, pass turn
-      room.turnPoints = 0;
-      room.held = [false, false, false, false, false, false];
-      room.canRoll = true;
-      room.activeSeat = room.activeSeat === 0 ? 1 : 0;
-      emitRoom(room);
-      io.to(code).emit("modal", {
-        title: "Farkle!",
-        body: "No scoring dice. Turn ends with 0 points."
+    // Otherwise take first open seat, or watch when the table is full or locked
+    const open = spectate || room.tableLocked ? null : firstOpenSeat(room);
+    if (open) return takeSeat(room, open, socket, name);
+
+    watchRoom(room, socket, name);
+    if (!spectate) {
+      socket.emit("toast", {
+        msg: room.tableLocked ? "The host has locked this table. You're watching as a spectator." : "Table is full. You're watching as a spectator."
       });
     }
   });
 
-  socket.on("turn:toggleHold", ({ idx }) => {
-    const code = socket.data.roomCode;
-    if (!code) return;
-    const room = rooms.get(code);
-    if (!room) return;
+  // Browse the public tables: the list now, then "lobby:update" on every change
+  on("lobby:watch", () => {
+    if (socket.data.roomCode) return;
+    socket.join("lobby");
+    socket.emit("lobby:update", lobbyListing(rooms.values()));
+  });
 
-    if (socket.data.seat !== room.activeSeat) return;
-    if (room.phase !== "turn") return;
+  on("lobby:unwatch", () => socket.leave("lobby"));
 
-    if (typeof idx !== "number" || idx < 0 || idx > 5) return;
+  // Quick match: wait for someone who wants the same rules, then both sit
+  // down at a new heads-up table
+  on("match:join", ({ name, profile, preset }) => {
+    if (socket.data.roomCode) return socket.emit("toast", { msg: "Leave your table before looking for a match." });
+    const wanted = Object.hasOwn(rules.PRESETS, preset) ? preset : rules.DEFAULT_PRESET;
+    const pair = matchQueue.join({ id: socket.id, name, profile, preset: wanted });
+    if (pair) startMatch(pair);
+    else socket.emit("match:waiting", { preset: wanted });
+  });
 
-    // Only allow toggling after at least one roll (i.e., canRoll === false means dice are "live")
-    // If canRoll===true and no roll yet, the dice are meaningless placeholders.
-    if (room.canRoll) return;
+  on("match:leave", () => {
+    if (matchQueue.leave(socket.id)) socket.emit("match:left");
+  });
 
-    room.held[idx] = !room.held[idx];
-    emitRoom(room);
+  on("tournament:create", ({
+    name, profile, preset, lastChance, openingScore, farklePenalty, piggyback, turnSeconds, bestOf
+  }) => {
+    socket.data.profileToken = profile;
+    dropTournament(socket, true);
+    const resolved = rules.resolveRules(preset, { lastChance, openingScore, farklePenalty, piggyback });
+    const clock = Number(turnSeconds);
+    const series = Number(bestOf);
+    const t = {
+      code: freshCode(),
+      phase: "signup",
+      host: null,
+      preset: resolved.preset,
+      options: {
+        lastChance: resolved.lastChance,
+        openingScore: resolved.openingScore,
+        farklePenalty: resolved.farklePenalty,
+        piggyback: resolved.piggyback
+      },
+      turnSeconds: TURN_CLOCK_CHOICES.includes(clock) ? clock : 0,
+      bestOf: SERIES_CHOICES.includes(series) ? series : 1,
+      entrants: [],
+      rounds: null,
+      updatedAt: Date.now()
+    };
+    tournaments.set(t.code, t);
+    signUp(t, socket, name);
   });
 
-  socket.on("turn:keep", () => {
-    const code = socket.data.roomCode;
-    if (!code) return;
-    const room = rooms.get(code);
-    if (!room) return;
+  // Sign up, come back with a token, or (once the draw is made) follow along
+  on("tournament:join", ({ code, name, profile, token }) => {
+    socket.data.profileToken = profile;
+    const t = tournaments.get(cleanCode(code));
+    if (!t) return socket.emit("toast", { msg: "Tournament not found." });
+    if (socket.data.tournament !== t.code) dropTournament(socket, true);
+
+    const claim = seatTokens.verify(token);
+    const mine = claim && claim.code === t.code ? t.entrants.findIndex(e => e.playerId === claim.playerId) : -1;
+    if (mine !== -1) return enterTournament(t, socket, mine);
+    if (t.entrants.some(e => e.socketId === socket.id)) return;
+
+    if (t.phase === "signup" && t.entrants.length < tourney.MAX_ENTRANTS) return signUp(t, socket, name);
+
+    socket.join(`t:${t.code}`);
+    socket.data.tournament = t.code;
+    socket.emit("tournament:joined", { code: t.code, entrant: null });
+    socket.emit("tournament:update", publicTournament(t));
+    socket.emit("toast", {
+      msg: t.phase === "signup" ? "This tournament is full. You're following along." : "Sign-up has closed. You're following along."
+    });
+  });
 
-    if (socket.data.seat !== room.activeSeat) {
-      socket.emit("toast", { msg: "Not your turn." });
-      return;
+  on("tournament:start", () => {
+    const t = tournaments.get(socket.data.tournament);
+    if (!t) return;
+    const me = t.entrants.find(e => e.socketId === socket.id);
+    if (!me || me.playerId !== t.host) return socket.emit("toast", { msg: "Only the host can start the tournament." });
+    if (t.phase !== "signup") return socket.emit("toast", { msg: "The tournament has already started." });
+    if (t.entrants.length < tourney.MIN_ENTRANTS) {
+      return socket.emit("toast", { msg: `A tournament needs at least ${tourney.MIN_ENTRANTS} players.` });
     }
-    if (room.phase !== "turn") return;
 
-    // Can only keep after a roll
-    if (room.canRoll) {
-      socket.emit("toast", { msg: "Roll first." });
-      return;
-    }
+    t.rounds = tourney.createBracket(t.entrants.length);
+    t.phase = "playing";
+    openMatches(t);
+    emitTournament(t);
+  });
 
-    // Gather selected (held) dice values that were just chosen this keep action:
-    // We enforce: player must select at least one NEW die this keep.
-    const selectedIdx = [];
-    for (let i = 0; i < 6; i++) if (room.held[i]) selectedIdx.push(i);
+  on("tournament:leave", () => dropTournament(socket, true));
 
-    if (selectedIdx.length === 0) {
-      socket.emit("toast", { msg: "Select scoring dice to keep." });
+  // A spectator takes a seat that has come free
+  on("room:sit", () => {
+    const room = roomForSocket(socket);
+    if (!room || socket.data.seat !== null) return;
+    if (room.tableLocked) return socket.emit("toast", { msg: "The host has locked this table." });
+
+    const open = firstOpenSeat(room);
+    if (!open) {
+      socket.emit("toast", { msg: "No free seat right now." });
       return;
     }
+    const me = room.spectators.find(s => s.socketId === socket.id);
+    removeSpectator(room, socket.id);
+    takeSeat(room, open, socket, me && me.name);
+  });
 
-    // Score ONLY the currently held dice among ALL dice.
-    // This is simplified: held represents kept-from-this-roll. For MVP, it's fine.
-    const values = selectedIdx.map(i => room.dice[i]);
-    const scored = scoreKeptDice(values);
+  on("game:new", () => {
+    const room = seatedRoom(socket);
+    if (!room) return;
+    const err = actRematch(room, socket.data.seat);
+    if (err) socket.emit("toast", { msg: err });
+  });
 
-    if (scored.points <= 0) {
-      socket.emit("toast", { msg: "Invalid keep. Choose only scoring dice." });
-      return;
-    }
+  on("turn:roll", () => {
+    const room = seatedRoom(socket);
+    if (!room) return;
+    const err = actRoll(room, socket.data.seat);
+    if (err) socket.emit("toast", { msg: err });
+  });
 
-    room.turnPoints += scored.points;
+  on("turn:toggleHold", ({ idx }) => {
+    const room = seatedRoom(socket);
+    if (!room) return;
+    // Stray taps on dice are ignored quietly
+    actToggleHold(room, socket.data.seat, idx);
+  });
 
-    // Mark kept dice as "locked in" by leaving them held, and allow rolling remaining dice.
-    // Hot dice: if all are held, clear holds and allow another roll (player continues).
-    const hot = hotDiceReset(room);
-    room.canRoll = true;
+  on("turn:keep", () => {
+    const room = seatedRoom(socket);
+    if (!room) return;
+    const err = actKeep(room, socket.data.seat);
+    if (err) socket.emit("toast", { msg: err });
+  });
 
-    emitRoom(room);
+  on("turn:bank", () => {
+    const room = seatedRoom(socket);
+    if (!room) return;
+    const err = actBank(room, socket.data.seat);
+    if (err) socket.emit("toast", { msg: err });
+  });
 
-    io.to(code).emit("toast", { msg: `Kept for ${scored.points} points.` });
+  on("turn:takePot", () => {
+    const room = seatedRoom(socket);
+    if (!room) return;
+    const err = actTakePot(room, socket.data.seat);
+    if (err) socket.emit("toast", { msg: err });
+  });
 
-    if (hot) {
-      io.to(code).emit("toast", { msg: "Hot dice! Roll all six again." });
-    }
+  on("chat:send", ({ text }) => {
+    const room = roomForSocket(socket);
+    if (!room) return;
+    const err = chatError(room, socket);
+    if (err) return socket.emit("toast", { msg: err });
+
+    const clean = cleanMessage(text);
+    if (!clean) return;
+    const seat = socket.data.seat;
+    const spectator = room.spectators.find(s => s.socketId === socket.id);
+    const name = seat === null ? `${spectator ? spectator.name : "Spectator"} (watching)` : room.players[seat].name;
+    const message = { at: Date.now(), seat, name, text: clean };
+
+    room.chat.push(message);
+    if (room.chat.length > CHAT_HISTORY) room.chat.splice(0, room.chat.length - CHAT_HISTORY);
+    store.save(room);
+    emitChat(room, "chat:message", message);
+  });
+
+  // Emotes float over the sender's card, so only seated players have them
+  on("chat:emote", ({ emote }) => {
+    const room = seatedRoom(socket);
+    if (!room || !Object.hasOwn(EMOTES, emote)) return;
+    const err = chatError(room, socket);
+    if (err) return socket.emit("toast", { msg: err });
+
+    const now = Date.now();
+    if (now - (socket.data.lastEmote || 0) < EMOTE_COOLDOWN_MS) return;
+    socket.data.lastEmote = now;
+    emitChat(room, "chat:emote", { seat: socket.data.seat, emote, text: EMOTES[emote] });
   });
 
-  socket.on("turn:bank", () => {
-    const code = socket.data.roomCode;
-    if (!code) return;
-    const room = rooms.get(code);
+  // Host only: spectator chat on/off, and muting players
+  on("chat:settings", ({ spectatorChat }) => {
+    const room = hostedRoom(socket, "change chat settings");
     if (!room) return;
 
-    if (socket.data.seat !== room.activeSeat) {
-      socket.emit("toast", { msg: "Not your turn." });
-      return;
+    room.spectatorChat = !!spectatorChat;
+    room.spectators.forEach(s => {
+      const watcher = io.sockets.sockets.get(s.socketId);
+      if (watcher) sendChatHistory(room, watcher);
+    });
+    emitRoom(room);
+  });
+
+  on("chat:mute", ({ seat, muted }) => {
+    const room = hostedRoom(socket, "mute players");
+    if (!room) return;
+    const target = Number.isInteger(seat) ? room.players[seat] : null;
+    if (!target || !target.clientId || target.bot || seat === room.host) {
+      return socket.emit("toast", { msg: "You can't mute that seat." });
     }
-    if (room.phase !== "turn") return;
 
-    // Bank adds turnPoints and passes turn
-    const seat = room.activeSeat;
-    room.players[seat].score += room.turnPoints;
+    room.muted = room.muted.filter(s => s !== seat);
+    if (muted) room.muted.push(seat);
+    emitRoom(room);
+  });
 
-    const winner = room.players[seat].score >= 10000;
+  // Host controls. Tournament tables belong to the bracket, so they have none.
+  on("host:kick", ({ seat }) => {
+    const room = hostedRoom(socket, "kick players");
+    if (!room) return;
+    if (room.tournament) return socket.emit("toast", { msg: "Nobody can be kicked from a tournament table." });
+    const target = Number.isInteger(seat) ? room.players[seat] : null;
+    if (!target || !target.clientId || room.hotseat) return socket.emit("toast", { msg: "There's nobody to kick in that seat." });
+    if (seat === socket.data.seat) return socket.emit("toast", { msg: "You can't kick yourself. Leave the table instead." });
+
+    const name = target.name;
+    const kicked = target.socketId && io.sockets.sockets.get(target.socketId);
+    if (kicked) {
+      kicked.leave(room.code);
+      kicked.data.roomCode = null;
+      kicked.data.seat = null;
+      kicked.emit("room:kicked", { code: room.code });
+    }
+    freeSeat(room, seat);
+    io.to(room.code).emit("toast", { msg: `The host removed ${name} from the table.` });
+  });
 
-    room.turnPoints = 0;
-    room.held = [false, false, false, false, false, false];
-    room.canRoll = true;
+  on("host:lock", ({ locked }) => {
+    const room = hostedRoom(socket, "lock the table");
+    if (!room) return;
+    room.tableLocked = !!locked;
+    emitRoom(room);
+    io.to(room.code).emit("toast", { msg: room.tableLocked ? "The host locked the table." : "The host unlocked the table." });
+  });
 
-    if (winner) {
-      emitRoom(room);
-      io.to(code).emit("modal", {
-        title: "Game over!",
-        body: `${room.players[seat].name} wins!`
-      });
-      // reset for next game but keep scores? We'll keep scores until New game pressed.
-      return;
+  on("host:transfer", ({ seat }) => {
+    const room = hostedRoom(socket, "hand over the table");
+    if (!room) return;
+    const target = Number.isInteger(seat) ? room.players[seat] : null;
+    if (!target || !target.clientId || target.bot || room.hotseat || seat === room.host) {
+      return socket.emit("toast", { msg: "Only another player at the table can become host." });
     }
-
-    // Pass turn
-    room.activeSeat = seat === 0 ? 1 : 0;
+    room.host = seat;
     emitRoom(room);
+    io.to(room.code).emit("toast", { msg: `${target.name} is now the host.` });
   });
 
-  socket.on("disconnect", () => {
-    const code = socket.data.roomCode;
-    const clientId = socket.data.clientId;
-    if (!code || !clientId) return;
+  // New rules take effect from the next game. Changing the series length starts the series over.
+  on("host:rules", ({ preset, lastChance, openingScore, farklePenalty, piggyback, turnSeconds, bestOf }) => {
+    const room = hostedRoom(socket, "change the rules");
+    if (!room) return;
+    if (room.tournament) return socket.emit("toast", { msg: "Tournament rules are set for the whole bracket." });
+    if (room.phase === "turn") return socket.emit("toast", { msg: "Rules can only change before a game starts or between games." });
+
+    room.rules = rules.resolveRules(preset, { lastChance, openingScore, farklePenalty, piggyback });
+    const clock = Number(turnSeconds);
+    room.turnSeconds = TURN_CLOCK_CHOICES.includes(clock) ? clock : 0;
+    const series = SERIES_CHOICES.includes(Number(bestOf)) ? Number(bestOf) : 1;
+    if (series !== room.bestOf) {
+      room.bestOf = series;
+      room.seriesWinner = null;
+      room.players.forEach(p => (p.seriesWins = 0));
+    }
+    emitRoom(room);
+    io.to(room.code).emit("toast", { msg: `The host changed the rules: ${room.rules.label}.` });
+  });
 
-    const room = rooms.get(code);
+  // Win against (or drop) players who have been offline past the grace period
+  on("game:claimForfeit", () => {
+    const room = seatedRoom(socket);
     if (!room) return;
+    const err = actClaimForfeit(room, socket.data.seat);
+    if (err) socket.emit("toast", { msg: err });
+  });
 
-    const seatObj = seatForClient(room, clientId);
-    if (!seatObj) return;
+  // Give up the seat for good. The game carries on without this player.
+  on("room:leave", () => {
+    const room = roomForSocket(socket);
+    const seat = socket.data.seat;
+    socket.data.roomCode = null;
+    socket.data.seat = null;
+    if (!room) return;
+    socket.leave(room.code);
 
-    // Only mark offline if the socket that disconnected is the current socketId for that seat
-    if (seatObj.socketId === socket.id) {
-      seatObj.online = false;
-      seatObj.socketId = null;
-      emitRoom(room);
+    if (seat === null) {
+      if (removeSpectator(room, socket.id)) emitRoom(room);
+      return;
     }
+
+    const player = room.players[seat];
+    if (!player || player.socketId !== socket.id) return;
+    if (room.hotseat) return closeRoom(room, "The pass-and-play table was put away.");
+
+    const name = player.name;
+    freeSeat(room, seat);
+    io.to(room.code).emit("toast", { msg: `${name} left the table.` });
+  });
+
+  socket.on("disconnect", () => {
+    matchQueue.leave(socket.id);
+    dropTournament(socket, false);
+    detachSocket(socket);
   });
 });
 
+// Bring back rooms and tournaments from before the last restart; clients rejoin on connect
+store.load().forEach(saved => rooms.set(saved.code, restoreRoom(saved)));
+tournamentStore.load().forEach(t => {
+  t.entrants.forEach(e => (e.socketId = null));
+  tournaments.set(t.code, t);
+});
+rooms.forEach(room => {
+  scheduleBot(room);
+  scheduleTurnClock(room);
+});
+setInterval(sweepRooms, ROOM_SWEEP_MS).unref();
+
+// Railway sends SIGTERM on deploy: write out pending room changes first
+["SIGTERM", "SIGINT"].forEach(sig => process.on(sig, () => {
+  store.flush();
+  tournamentStore.flush();
+  history.flush();
+  process.exit(0);
+}));
+
 server.listen(PORT, () => {
-  console.log(`Pirate Farkle server listening on ${PORT}`);
+  console.log(`Pirate Farkle server listening on ${server.address().port}`);
 });
\ No newline at end of file
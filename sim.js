@@ -0,0 +1,230 @@
+// sim.js
+// Headless bot-vs-bot games for tuning strategies and house rules. Games run
+// through the same rules engine and bot planner as the server, minus sockets:
+//
+//   node sim.js --games 100000 --strategy ev --strategy threshold --rules classic
+//
+// Strategies are the AI levels from bot.js. House rules take the same values
+// as at table creation (--opening 500 --penalty 1000 --piggyback --last-chance).
+// --seed makes a run repeatable; --json prints the raw report.
+const { parseArgs } = require("util");
+const rules = require("./rules");
+const { BOT_LEVELS, planBotMove } = require("./bot");
+const { createSeededRng } = require("./rng");
+
+// A game that runs this long has a bug in it, not bad luck
+const MAX_STEPS = 20000;
+
+function newGame(strategies, config, firstSeat) {
+  return {
+    rules: config,
+    players: strategies.map((level, seat) => ({
+      seat,
+      name: `${BOT_LEVELS[level].name} ${seat + 1}`,
+      clientId: `sim:${seat}`,
+      bot: level,
+      score: 0,
+      farkles: 0,
+      onBoard: false
+    })),
+    activeSeat: firstSeat,
+    phase: "turn",
+    dice: [1, 1, 1, 1, 1, 1],
+    ...rules.freshTurn(),
+    finalRound: null,
+    winner: null
+  };
+}
+
+// Apply one bot move the way server.js does in runBotStep
+function applyMove(state, seat, move, rollDie) {
+  const config = state.rules;
+  switch (move.type) {
+    case "roll": return rules.roll(state, seat, config, rollDie);
+    case "bank": return rules.bank(state, seat, config);
+    case "takePot": return rules.takePot(state, seat, config);
+    case "keep": return rules.keep(state, seat, config);
+    case "select": {
+      let next = state;
+      for (const i of move.idx) next = rules.toggleSelect(next, seat, i).state;
+      return { state: next, events: [] };
+    }
+  }
+  throw new Error(`Unknown bot move ${move.type}`);
+}
+
+/**
+ * Play one game to the end. Returns { winner, turns, seats } with per-seat
+ * { score, turns, farkles, banked: [points per bank] }.
+ */
+function playGame(strategies, config, firstSeat, rollDie) {
+  let state = newGame(strategies, config, firstSeat);
+  const seats = strategies.map(() => ({ score: 0, turns: 0, farkles: 0, banked: [] }));
+  let turns = 0;
+
+  for (let steps = 0; state.phase === "turn"; steps++) {
+    if (steps > MAX_STEPS) throw new Error(`Game did not finish within ${MAX_STEPS} steps`);
+    const seat = state.activeSeat;
+
+    // Every roll the engine didn't call a farkle must have a scoring keep;
+    // the bot only banks straight after a roll when it found none
+    const move = planBotMove(state, seat);
+    if (!state.canRoll && !state.selected.some(Boolean) && move.type === "bank") {
+      throw new Error(`Scoring mismatch: no keep found in ${state.dice.join(" ")}`);
+    }
+
+    const result = applyMove(state, seat, move, rollDie);
+    if (result.error) throw new Error(`Seat ${seat} move failed: ${result.error}`);
+    result.events.forEach(e => {
+      if (e.type === "bank") seats[e.seat].banked.push(e.points);
+      if (e.type === "farkle") seats[e.seat].farkles++;
+      if (e.type === "bank" || e.type === "farkle") {
+        seats[e.seat].turns++;
+        turns++;
+      }
+    });
+    state = result.state;
+  }
+
+  state.players.forEach(p => (seats[p.seat].score = p.score));
+  return { winner: state.winner, turns, seats };
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+/**
+ * Run `games` games, rotating who goes first, and summarise them per strategy seat.
+ * options: { games, strategies: [level], preset, houseRules: {...}, seed? }
+ */
+function simulate({ games, strategies, preset, houseRules = {}, seed = null }) {
+  const config = rules.resolveRules(preset, houseRules);
+  const rollDie = seed ? createSeededRng(seed).rollDie : undefined;
+
+  const totals = strategies.map(level => ({
+    strategy: level, wins: 0, turns: 0, farkles: 0, bankedPoints: 0, banks: 0, bestTurn: 0, scores: []
+  }));
+  let allTurns = 0;
+
+  for (let g = 0; g < games; g++) {
+    const game = playGame(strategies, config, g % strategies.length, rollDie);
+    allTurns += game.turns;
+    totals[game.winner].wins++;
+    game.seats.forEach((s, seat) => {
+      const t = totals[seat];
+      t.turns += s.turns;
+      t.farkles += s.farkles;
+      t.banks += s.banked.length;
+      t.bankedPoints += s.banked.reduce((a, b) => a + b, 0);
+      t.bestTurn = Math.max(t.bestTurn, ...s.banked);
+      t.scores.push(s.score);
+    });
+  }
+
+  return {
+    games,
+    rules: config,
+    avgTurnsPerGame: allTurns / games,
+    seats: totals.map(t => {
+      const scores = t.scores.sort((a, b) => a - b);
+      return {
+        strategy: t.strategy,
+        winRate: t.wins / games,
+        farkleRate: t.turns ? t.farkles / t.turns : 0,
+        avgBank: t.banks ? t.bankedPoints / t.banks : 0,
+        bestTurn: t.bestTurn,
+        finalScore: {
+          min: scores[0],
+          p10: quantile(scores, 0.1),
+          median: quantile(scores, 0.5),
+          p90: quantile(scores, 0.9),
+          max: scores[scores.length - 1]
+        }
+      };
+    })
+  };
+}
+
+function printReport(report) {
+  const pct = (x) => `${(x * 100).toFixed(1)}%`;
+  const r = report.rules;
+  const house = [
+    r.lastChance && "last chance",
+    r.openingScore && `opening ${r.openingScore}`,
+    r.farklePenalty && `three-farkle penalty ${r.farklePenalty}`,
+    r.piggyback && "piggyback"
+  ].filter(Boolean);
+
+  console.log(`${report.games} games · ${r.label}${house.length ? ` (${house.join(", ")})` : ""}`);
+  console.log(`Average turns per game: ${report.avgTurnsPerGame.toFixed(1)}`);
+  console.log("");
+  report.seats.forEach((s, seat) => {
+    const f = s.finalScore;
+    console.log(`Seat ${seat + 1}: ${s.strategy} (${BOT_LEVELS[s.strategy].label})`);
+    console.log(`  wins ${pct(s.winRate)} · farkles ${pct(s.farkleRate)} of turns · avg bank ${Math.round(s.avgBank)} · best turn ${s.bestTurn}`);
+    console.log(`  final score min ${f.min} · p10 ${f.p10} · median ${f.median} · p90 ${f.p90} · max ${f.max}`);
+  });
+}
+
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      games: { type: "string", default: "1000" },
+      strategy: { type: "string", multiple: true },
+      rules: { type: "string", default: rules.DEFAULT_PRESET },
+      opening: { type: "string" },
+      penalty: { type: "string" },
+      piggyback: { type: "boolean" },
+      "last-chance": { type: "boolean" },
+      seed: { type: "string" },
+      json: { type: "boolean" }
+    }
+  });
+
+  const games = Number(values.games);
+  const strategies = values.strategy || ["ev", "threshold"];
+  if (!Number.isInteger(games) || games < 1) throw new Error("--games must be a positive whole number.");
+  if (strategies.length < 2 || strategies.length > 6) throw new Error("Give between 2 and 6 --strategy options.");
+  strategies.forEach(s => {
+    if (!Object.hasOwn(BOT_LEVELS, s)) throw new Error(`Unknown strategy "${s}". Choose from: ${Object.keys(BOT_LEVELS).join(", ")}.`);
+  });
+  if (!Object.hasOwn(rules.PRESETS, values.rules)) {
+    throw new Error(`Unknown rules "${values.rules}". Choose from: ${Object.keys(rules.PRESETS).join(", ")}.`);
+  }
+  [["opening", "openingScore"], ["penalty", "farklePenalty"]].forEach(([flag, key]) => {
+    const allowed = rules.HOUSE_RULE_VALUES[key];
+    if (values[flag] !== undefined && !allowed.includes(Number(values[flag]))) {
+      throw new Error(`--${flag} must be one of: ${allowed.join(", ")}.`);
+    }
+  });
+
+  const report = simulate({
+    games,
+    strategies,
+    preset: values.rules,
+    houseRules: {
+      openingScore: values.opening,
+      farklePenalty: values.penalty,
+      piggyback: values.piggyback,
+      lastChance: values["last-chance"]
+    },
+    seed: values.seed
+  });
+
+  if (values.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { playGame, simulate };
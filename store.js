@@ -0,0 +1,62 @@
+// store.js
+// Record storage for rooms, profiles and finished games. server.js only needs
+// load/save/remove/flush, so any backend with that shape works; the JSON file
+// store is what runs in production. Records are keyed by their `key` field.
+const fs = require("fs");
+const path = require("path");
+
+const FLUSH_DELAY_MS = 500;
+
+/**
+ * Keeps every record in one JSON file, keyed by record[key]. Writes are batched
+ * and go through a temp file + rename so a crash never leaves half a file.
+ */
+function createJsonFileStore(file, key = "code") {
+  let data = {};
+  let timer = null;
+
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`Could not read ${file}, starting empty:`, err.message);
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  }
+
+  function scheduleFlush() {
+    if (!timer) timer = setTimeout(flush, FLUSH_DELAY_MS);
+  }
+
+  return {
+    load: () => Object.values(data),
+    save(record) {
+      data[record[key]] = record;
+      scheduleFlush();
+    },
+    remove(id) {
+      delete data[id];
+      scheduleFlush();
+    },
+    flush
+  };
+}
+
+// Same interface, nothing written anywhere
+function createMemoryStore(key = "code") {
+  const data = new Map();
+  return {
+    load: () => Array.from(data.values()),
+    save: (record) => data.set(record[key], record),
+    remove: (id) => data.delete(id),
+    flush: () => {}
+  };
+}
+
+module.exports = { createJsonFileStore, createMemoryStore };
@@ -0,0 +1,39 @@
+// test/advisor.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const rules = require("../rules");
+const advisor = require("../advisor");
+
+const pirate = rules.resolveRules("pirate");
+const none = [false, false, false, false, false, false];
+
+test("farkle odds match a hand count for small rolls", () => {
+  assert.equal(advisor.odds(1, pirate).farkle, 4 / 6);
+  assert.equal(advisor.odds(2, pirate).farkle, 16 / 36);
+  assert.equal(advisor.odds(1, pirate).avgScore, 75);
+});
+
+test("farkle odds agree with isFarkle on every roll of three", () => {
+  let farkles = 0;
+  for (let k = 0; k < 216; k++) {
+    const values = [1 + (k % 6), 1 + (Math.floor(k / 6) % 6), 1 + Math.floor(k / 36)];
+    if (rules.isFarkle(values, pirate)) farkles++;
+  }
+  assert.equal(advisor.odds(3, pirate).farkle, farkles / 216);
+});
+
+test("selectionPreview scores the selected dice with the rules engine", () => {
+  const state = { dice: [1, 5, 2, 2, 2, 3], locked: none, selected: [true, false, true, true, true, false] };
+  assert.deepEqual(advisor.selectionPreview(state, pirate), { dice: [1, 2, 2, 2], points: 300, valid: true, diceLeft: 2 });
+
+  const stray = { ...state, selected: [true, false, false, false, false, true] };
+  assert.equal(advisor.selectionPreview(stray, pirate).valid, false);
+});
+
+test("bestKeep takes the whole straight", () => {
+  const state = { dice: [6, 5, 4, 3, 2, 1], locked: none, turnPoints: 0 };
+  const best = advisor.bestKeep(state, pirate);
+  assert.deepEqual(best.idx, [0, 1, 2, 3, 4, 5]);
+  assert.equal(best.points, 1500);
+  assert.equal(advisor.bestKeep({ ...state, dice: [2, 3, 4, 6, 2, 3] }, pirate), null);
+});
@@ -0,0 +1,102 @@
+// test/api.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./support/server");
+
+async function call(base, method, url, body, token) {
+  const res = await fetch(base + url, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("a heads-up game can be set up and played over HTTP", async (t) => {
+  const { child, url } = await startServer();
+  t.after(() => child.kill());
+  const base = `${url}/api/v1`;
+
+  const created = await call(base, "POST", "/tables", { name: "Anne", seats: 2, preset: "classic" });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.seat, 0);
+  assert.equal(created.body.state.phase, "lobby");
+  const { code } = created.body;
+  const anne = created.body.token;
+
+  assert.equal((await call(base, "POST", `/tables/${code}/roll`, {}, anne)).status, 400);
+
+  const joined = await call(base, "POST", `/tables/${code}/join`, { name: "Bob" });
+  assert.equal(joined.body.seat, 1);
+  assert.equal(joined.body.state.phase, "turn");
+  assert.equal((await call(base, "POST", `/tables/${code}/join`, { name: "Cat" })).status, 409);
+
+  // Coming back with a seat token takes the same seat
+  assert.equal((await call(base, "POST", `/tables/${code}/join`, { token: joined.body.token })).body.seat, 1);
+
+  const rolled = await call(base, "POST", `/tables/${code}/roll`, {}, anne);
+  assert.equal(rolled.status, 200);
+  assert.equal(rolled.body.state.fair.draws, 6);
+  // A farkle on the first roll passes the turn straight to Bob
+  const waiting = rolled.body.state.activeSeat === 0 ? joined.body.token : anne;
+  assert.equal((await call(base, "POST", `/tables/${code}/roll`, {}, waiting)).body.error, "Not your turn.");
+
+  const state = (await call(base, "GET", `/tables/${code}`)).body;
+  assert.deepEqual(state.players.map(p => p.name), ["Anne", "Bob"]);
+  assert.deepEqual(state.dice, rolled.body.state.dice);
+});
+
+test("actions need a seat token for that table", async (t) => {
+  const { child, url } = await startServer();
+  t.after(() => child.kill());
+  const base = `${url}/api/v1`;
+
+  const first = (await call(base, "POST", "/tables", { name: "Anne" })).body;
+  const other = (await call(base, "POST", "/tables", { name: "Bob" })).body;
+
+  assert.equal((await call(base, "POST", `/tables/${first.code}/bank`)).status, 401);
+  assert.equal((await call(base, "POST", `/tables/${first.code}/bank`, {}, "not-a-token")).status, 401);
+  assert.equal((await call(base, "POST", `/tables/${first.code}/bank`, {}, other.token)).status, 403);
+  assert.equal((await call(base, "POST", `/tables/${first.code}/cheat`, {}, first.token)).status, 404);
+  assert.equal((await call(base, "GET", "/tables/ZZZZZ")).status, 404);
+});
+
+test("bad requests get JSON errors, not HTML pages", async (t) => {
+  const { child, url } = await startServer();
+  t.after(() => child.kill());
+
+  const broken = await fetch(`${url}/api/v1/tables`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: "{\"name\": "
+  });
+  assert.equal(broken.status, 400);
+  assert.deepEqual(await broken.json(), { error: "Invalid JSON." });
+
+  const missing = await call(`${url}/api/v1`, "GET", "/nothing-here");
+  assert.equal(missing.status, 404);
+  assert.deepEqual(missing.body, { error: "Not found." });
+});
+
+test("behind a trusted proxy the rate limit goes by the forwarded address", async (t) => {
+  const { child, url } = await startServer({ TRUST_PROXY: "1" });
+  t.after(() => child.kill());
+
+  const from = (address) => fetch(`${url}/api/v1/tables/ZZZZZ`, { headers: { "X-Forwarded-For": address } });
+  let status = 0;
+  for (let i = 0; i < 40 && status !== 429; i++) status = (await from("203.0.113.1")).status;
+  assert.equal(status, 429);
+  assert.equal((await from("203.0.113.2")).status, 404);
+});
+
+test("an unknown AI level gets the default bot, even one named like an Object method", async (t) => {
+  const { child, url } = await startServer();
+  t.after(() => child.kill());
+
+  for (const ai of ["constructor", "__proto__"]) {
+    const created = await call(`${url}/api/v1`, "POST", "/tables", { name: "Anne", ai });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.state.players[1].name, "Bosun Bot");
+    assert.equal(created.body.state.players[1].bot, "Steady");
+  }
+});
@@ -0,0 +1,16 @@
+// test/chat.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CHAT_MAX_LENGTH, cleanMessage, maskProfanity } = require("../chat");
+
+test("cleanMessage flattens, trims and caps the text", () => {
+  assert.equal(cleanMessage("  ahoy\n\tthere  "), "ahoy there");
+  assert.equal(cleanMessage("x".repeat(500)).length, CHAT_MAX_LENGTH);
+  assert.equal(cleanMessage("   "), "");
+  assert.equal(cleanMessage(42), "");
+});
+
+test("profanity is masked whole-word, whatever the case", () => {
+  assert.equal(maskProfanity("Shitty roll, FUCKING dice"), "****** roll, ******* dice");
+  assert.equal(maskProfanity("scunthorpe and shiitake"), "scunthorpe and shiitake");
+});
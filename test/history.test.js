@@ -0,0 +1,68 @@
+// test/history.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { START_RATING, ratingChanges, createHistory } = require("../history");
+const { createMemoryStore } = require("../store");
+
+const newHistory = () => createHistory(createMemoryStore("id"), createMemoryStore("id"));
+
+function finished(players, winner) {
+  return { code: "TEST1", game: 1, rules: "Pirate house rules", startedAt: 0, finishedAt: 1000, durationMs: 1000, turns: 20, winner, players };
+}
+
+test("heads-up ratings move by the same amount each way", () => {
+  const players = [{ profileId: "a", score: 10050 }, { profileId: "b", score: 6000 }];
+  const changes = ratingChanges(players, "a", { a: 1200, b: 1200 });
+  assert.equal(changes.a, 16);
+  assert.equal(changes.b, -16);
+});
+
+test("players who left place below everyone still at the table", () => {
+  const players = [
+    { profileId: "a", score: 10000 },
+    { profileId: "b", score: 500 },
+    { profileId: "c", score: 9000, left: true }
+  ];
+  const changes = ratingChanges(players, "a", { a: 1200, b: 1200, c: 1200 });
+  assert.equal(changes.b, 0, "lost to a, beat c");
+  assert.equal(changes.c, -16);
+});
+
+test("recordGame updates every player's record", () => {
+  const history = newHistory();
+  history.ensureProfile("a", "Anne");
+  history.recordGame(finished([
+    { profileId: "a", name: "Anne", seat: 0, score: 10200, bestTurn: 2500 },
+    { profileId: "b", name: "Mary", seat: 1, score: 7000, bestTurn: 1800 }
+  ], "a"));
+
+  const { profile, games } = history.playerHistory("a");
+  assert.equal(profile.wins, 1);
+  assert.equal(profile.bestTurn, 2500);
+  assert.equal(profile.rating, START_RATING + 16);
+  assert.equal(games.length, 1);
+  assert.equal(games[0].players[0].ratingAfter, START_RATING + 16);
+  assert.equal(history.playerHistory("b").profile.winRate, 0);
+  assert.equal(history.playerHistory("nobody"), null);
+});
+
+test("the leaderboard sorts by the field asked for", () => {
+  const history = newHistory();
+  const anne = { profileId: "a", name: "Anne", seat: 0, score: 10000, bestTurn: 600 };
+  const mary = { profileId: "b", name: "Mary", seat: 1, score: 5000, bestTurn: 3000 };
+  history.recordGame(finished([anne, mary], "a"));
+  history.recordGame(finished([{ ...anne }, { ...mary }], "a"));
+
+  assert.deepEqual(history.leaderboard().map(p => p.id), ["a", "b"]);
+  assert.deepEqual(history.leaderboard("bestTurn").map(p => p.id), ["b", "a"]);
+});
+
+test("one profile in two seats only counts once", () => {
+  const history = newHistory();
+  const record = history.recordGame(finished([
+    { profileId: "a", name: "Anne", seat: 0, score: 10000, bestTurn: 500 },
+    { profileId: "a", name: "Anne", seat: 1, score: 2000, bestTurn: 300 }
+  ], "a"));
+  assert.equal(record.players.length, 1);
+  assert.equal(history.playerHistory("a").profile.rating, START_RATING);
+});
@@ -0,0 +1,130 @@
+// test/host.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, connect, next } = require("./support/server");
+
+// A table hosted by the first of `names`, with the rest sat down in order
+async function table(t, names, options = {}) {
+  const { child, url } = await startServer();
+  const sockets = names.map(() => connect(url));
+  t.after(() => {
+    sockets.forEach(s => s.close());
+    child.kill();
+  });
+
+  sockets[0].emit("room:create", { name: names[0], ...options });
+  const { code } = await next(sockets[0], "room:joined");
+  for (let i = 1; i < names.length; i++) {
+    sockets[i].emit("room:join", { code, name: names[i] });
+    await next(sockets[i], "room:joined");
+  }
+  return { url, code, sockets };
+}
+
+// Send an event and wait for the table (as `watcher` sees it) to match
+function send(socket, event, payload, watcher, match = () => true) {
+  const update = next(watcher, "room:update", match);
+  socket.emit(event, payload);
+  return update;
+}
+
+test("the host can kick a player, which frees their seat", { timeout: 10000 }, async (t) => {
+  const { url, code, sockets: [anne, bob] } = await table(t, ["Anne", "Bob"], { seats: 3 });
+
+  const kicked = next(bob, "room:kicked");
+  const state = await send(anne, "host:kick", { seat: 1 }, anne, (s) => !s.players[1].seated);
+  assert.equal((await kicked).code, code);
+  assert.equal(state.phase, "lobby");
+
+  const cat = connect(url);
+  t.after(() => cat.close());
+  cat.emit("room:join", { code, name: "Cat" });
+  assert.equal((await next(cat, "room:joined")).seat, 1);
+});
+
+test("a table locked mid-turn takes newcomers as spectators and play goes on", { timeout: 10000 }, async (t) => {
+  const { url, code, sockets } = await table(t, ["Anne", "Bob"], { seats: 2 });
+  const [anne] = sockets;
+
+  let state = await send(anne, "host:lock", { locked: true }, anne, (s) => s.tableLocked);
+  assert.equal(state.phase, "turn");
+
+  const cat = connect(url);
+  t.after(() => cat.close());
+  const told = next(cat, "toast", (m) => /locked/.test(m.msg));
+  const watching = next(anne, "room:update", (s) => s.spectators === 1);
+  cat.emit("room:join", { code, name: "Cat" });
+  assert.equal((await next(cat, "room:joined")).spectator, true);
+  await told;
+  await watching;
+
+  // Roll until someone has a 1 or a 5 to keep (a farkle passes the turn)
+  for (let tries = 0; tries < 30; tries++) {
+    const seat = state.activeSeat;
+    const draws = state.fair.draws;
+    state = await send(sockets[seat], "turn:roll", {}, anne, (s) => s.fair.draws > draws);
+    const idx = state.dice.findIndex((d, i) => !state.locked[i] && (d === 1 || d === 5));
+    if (state.activeSeat !== seat || idx < 0) continue;
+
+    await send(sockets[seat], "turn:toggleHold", { idx }, anne, (s) => s.selected[idx]);
+    state = await send(sockets[seat], "turn:keep", {}, anne);
+    assert.equal(state.locked[idx], true);
+    assert.ok(state.turnPoints > 0);
+    assert.equal(state.tableLocked, true);
+    return;
+  }
+  assert.fail("nobody rolled a 1 or a 5");
+});
+
+test("the host can hand the table over and then loses the controls", { timeout: 10000 }, async (t) => {
+  const { sockets: [anne, bob] } = await table(t, ["Anne", "Bob"], { seats: 3 });
+
+  const state = await send(anne, "host:transfer", { seat: 1 }, anne, (s) => s.host === 1);
+  assert.equal(state.host, 1);
+
+  const refused = next(anne, "toast", (m) => m.msg.startsWith("Only"));
+  anne.emit("host:lock", { locked: true });
+  assert.equal((await refused).msg, "Only the host can lock the table.");
+
+  assert.equal((await send(bob, "host:lock", { locked: true }, bob, (s) => s.tableLocked)).host, 1);
+});
+
+test("the host can change the rules, but not during a game", { timeout: 10000 }, async (t) => {
+  const { url, code, sockets: [anne] } = await table(t, ["Anne"], { seats: 2 });
+
+  const state = await send(anne, "host:rules", { preset: "classic", bestOf: 3, turnSeconds: 30 }, anne);
+  assert.equal(state.rules.label, "Classic");
+  assert.deepEqual(state.series, { bestOf: 3, winner: null });
+  assert.equal(state.clock.seconds, 30);
+
+  const bob = connect(url);
+  t.after(() => bob.close());
+  bob.emit("room:join", { code, name: "Bob" });
+  await next(anne, "room:update", (s) => s.phase === "turn");
+
+  const refused = next(anne, "toast", (m) => m.msg.startsWith("Rules"));
+  anne.emit("host:rules", { preset: "pirate" });
+  assert.equal((await refused).msg, "Rules can only change before a game starts or between games.");
+});
+
+test("everyone but the host is turned down", { timeout: 10000 }, async (t) => {
+  const { sockets: [anne, bob] } = await table(t, ["Anne", "Bob"], { seats: 3 });
+
+  const asked = [
+    ["host:kick", { seat: 0 }, "kick players"],
+    ["host:lock", { locked: true }, "lock the table"],
+    ["host:transfer", { seat: 1 }, "hand over the table"],
+    ["host:rules", { preset: "classic" }, "change the rules"]
+  ];
+  for (const [event, payload, what] of asked) {
+    const refused = next(bob, "toast");
+    bob.emit(event, payload);
+    assert.equal((await refused).msg, `Only the host can ${what}.`);
+  }
+
+  // Nothing changed: the next update (from Anne) still shows the old table
+  const state = await send(anne, "host:lock", { locked: false }, bob);
+  assert.equal(state.host, 0);
+  assert.equal(state.players[0].seated, true);
+  assert.notEqual(state.rules.label, "Classic");
+});
@@ -0,0 +1,63 @@
+// test/lobby.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { lobbyEntry, lobbyListing, createMatchQueue } = require("../lobby");
+
+function room(code, seated, total, extra = {}) {
+  return {
+    code,
+    public: true,
+    phase: "lobby",
+    host: 0,
+    players: Array.from({ length: total }, (_, seat) => ({
+      seat, name: `P${seat}`, clientId: seat < seated ? `c${seat}` : null
+    })),
+    spectators: [],
+    turnSeconds: 0,
+    rules: { preset: "pirate" },
+    updatedAt: 0,
+    ...extra
+  };
+}
+
+test("only public tables with a free seat and someone at them are listed", () => {
+  assert.deepEqual(lobbyEntry(room("AAAAA", 1, 3)).seats, { filled: 1, total: 3 });
+  assert.equal(lobbyEntry(room("AAAAA", 1, 3)).host, "P0");
+  assert.equal(lobbyEntry(room("AAAAA", 1, 3, { public: false })), null);
+  assert.equal(lobbyEntry(room("AAAAA", 1, 3, { tableLocked: true })), null);
+  assert.equal(lobbyEntry(room("AAAAA", 2, 2)), null);
+  assert.equal(lobbyEntry(room("AAAAA", 0, 2)), null);
+  assert.equal(lobbyEntry(room("AAAAA", 1, 3, { phase: "gameover" })), null);
+});
+
+test("tables closest to starting are listed first", () => {
+  const list = lobbyListing([
+    room("FEWER", 1, 4, { updatedAt: 5 }),
+    room("ALMOST", 2, 3),
+    room("NEWER", 1, 4, { updatedAt: 9 })
+  ]);
+  assert.deepEqual(list.map(e => e.code), ["ALMOST", "NEWER", "FEWER"]);
+});
+
+test("the match queue pairs players waiting for the same preset", () => {
+  const queue = createMatchQueue();
+  assert.equal(queue.join({ id: "a", preset: "pirate" }), null);
+  assert.equal(queue.join({ id: "b", preset: "classic" }), null);
+  assert.equal(queue.size(), 2);
+
+  const pair = queue.join({ id: "c", preset: "pirate" });
+  assert.deepEqual(pair.map(e => e.id), ["a", "c"]);
+  assert.equal(queue.size("pirate"), 0);
+  assert.ok(queue.has("b"));
+});
+
+test("leaving or re-joining the queue never pairs a player with themselves", () => {
+  const queue = createMatchQueue();
+  queue.join({ id: "a", preset: "pirate" });
+  assert.equal(queue.join({ id: "a", preset: "pirate" }), null);
+  assert.equal(queue.size(), 1);
+
+  assert.equal(queue.leave("a"), true);
+  assert.equal(queue.leave("a"), false);
+  assert.equal(queue.join({ id: "b", preset: "pirate" }), null);
+});
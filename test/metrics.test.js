@@ -0,0 +1,55 @@
+// test/metrics.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createMetrics } = require("../metrics");
+
+test("counters and summaries render in the Prometheus text format", () => {
+  const metrics = createMetrics();
+  const games = metrics.counter("farkle_games_started_total", "Games started");
+  const length = metrics.summary("farkle_game_duration_seconds", "Game length");
+  games.inc();
+  games.inc();
+  length.observe(60);
+  length.observe(120);
+
+  assert.equal(metrics.render(), [
+    "# HELP farkle_games_started_total Games started",
+    "# TYPE farkle_games_started_total counter",
+    "farkle_games_started_total 2",
+    "# HELP farkle_game_duration_seconds Game length",
+    "# TYPE farkle_game_duration_seconds summary",
+    "farkle_game_duration_seconds_sum 180",
+    "farkle_game_duration_seconds_count 2",
+    ""
+  ].join("\n"));
+  assert.equal(length.average(), 90);
+});
+
+test("labelled samples appear once used and label values are escaped", () => {
+  const metrics = createMetrics();
+  const events = metrics.counter("farkle_socket_events_total", "Socket events", true);
+  assert.doesNotMatch(metrics.render(), /^farkle_socket_events_total /m);
+
+  events.inc({ event: "turn:roll" });
+  events.inc({ event: "turn:roll" });
+  events.inc({ event: 'say "hi"\\' });
+  assert.match(metrics.render(), /^farkle_socket_events_total\{event="turn:roll"\} 2$/m);
+  assert.match(metrics.render(), /^farkle_socket_events_total\{event="say \\"hi\\"\\\\"\} 1$/m);
+});
+
+test("gauges are read each time the metrics are rendered", () => {
+  const metrics = createMetrics();
+  let rooms = 1;
+  metrics.gauge("farkle_rooms", "Open tables", () => [
+    { labels: { phase: "turn" }, value: rooms },
+    { labels: { phase: "lobby" }, value: 0 }
+  ]);
+  metrics.gauge("farkle_sockets", "Connected sockets", () => 3);
+  rooms = 4;
+
+  const text = metrics.render();
+  assert.match(text, /^farkle_rooms\{phase="turn"\} 4$/m);
+  assert.match(text, /^farkle_sockets 3$/m);
+  assert.throws(() => metrics.gauge("farkle_sockets", "Again", () => 0));
+  assert.throws(() => metrics.counter("bad-name", "Dashes aren't allowed"));
+});
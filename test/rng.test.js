@@ -0,0 +1,48 @@
+// test/rng.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const rng = require("../rng");
+
+test("seeded dice are repeatable and carry on from a draw count", () => {
+  const a = rng.createSeededRng("seed-1");
+  const first = Array.from({ length: 12 }, a.rollDie);
+  assert.equal(a.draws, 12);
+  assert.ok(first.every(v => v >= 1 && v <= 6));
+
+  const b = rng.createSeededRng("seed-1", 6);
+  assert.deepEqual(Array.from({ length: 6 }, b.rollDie), first.slice(6));
+  assert.notDeepEqual(Array.from({ length: 12 }, rng.createSeededRng("seed-2").rollDie), first);
+});
+
+test("seeded dice come out roughly even", () => {
+  const r = rng.createSeededRng("fairness");
+  const counts = [0, 0, 0, 0, 0, 0, 0];
+  for (let i = 0; i < 6000; i++) counts[r.rollDie()]++;
+  counts.slice(1).forEach(c => assert.ok(c > 850 && c < 1150, `face count ${c}`));
+});
+
+test("scripted dice hand out exactly what they were given", () => {
+  const r = rng.createScriptedRng([6, 1, 3]);
+  assert.deepEqual([r.rollDie(), r.rollDie(), r.rollDie()], [6, 1, 3]);
+  assert.throws(() => r.rollDie(), /ran out/);
+});
+
+test("verifyRolls checks the seed hash and every logged roll", () => {
+  const seed = rng.newSeed();
+  const hash = rng.hashSeed(seed);
+  const r = rng.createSeededRng(seed);
+  const rolls = [
+    { draw: 0, rolled: [r.rollDie(), r.rollDie(), r.rollDie(), r.rollDie(), r.rollDie(), r.rollDie()] },
+    { draw: 6, rolled: [r.rollDie(), r.rollDie()] }
+  ];
+  assert.equal(rng.verifyRolls(seed, hash, rolls), true);
+  assert.equal(rng.verifyRolls(seed, rng.hashSeed("other"), rolls), false);
+
+  const tampered = [rolls[0], { draw: 6, rolled: [rolls[1].rolled[0] % 6 + 1, rolls[1].rolled[1]] }];
+  assert.equal(rng.verifyRolls(seed, hash, tampered), false);
+
+  // Throwing away a roll the server didn't like leaves a gap in the draws
+  const skipped = [rolls[0], { draw: 8, rolled: [rng.dieFromSeed(seed, 8), rng.dieFromSeed(seed, 9)] }];
+  assert.equal(rng.verifyRolls(seed, hash, skipped), false);
+  assert.equal(rng.verifyRolls(seed, hash, rolls.slice(1)), false);
+});
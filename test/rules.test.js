@@ -0,0 +1,334 @@
+// test/rules.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const rules = require("../rules");
+const { createScriptedRng } = require("../rng");
+
+const pirate = rules.resolveRules("pirate");
+const classic = rules.resolveRules("classic");
+
+// Dice for a scripted roll, handed out in order
+const dieSequence = (values) => createScriptedRng(values).rollDie;
+
+function game(names, overrides = {}) {
+  return {
+    code: "TEST1",
+    players: names.map((name, seat) => ({ seat, name, clientId: name && `c${seat}`, score: 0 })),
+    activeSeat: 0,
+    phase: "turn",
+    dice: [1, 1, 1, 1, 1, 1],
+    ...rules.freshTurn(),
+    ...overrides
+  };
+}
+
+function twoPlayerGame(overrides = {}) {
+  return game(["Anne", "Mary"], overrides);
+}
+
+test("resolveRules falls back to the default preset", () => {
+  assert.equal(rules.resolveRules("nope").preset, rules.DEFAULT_PRESET);
+  assert.equal(classic.label, "Classic");
+});
+
+test("resolveRules ignores names every object inherits", () => {
+  ["toString", "constructor", "__proto__"].forEach(name => {
+    const resolved = rules.resolveRules(name);
+    assert.equal(resolved.preset, rules.DEFAULT_PRESET);
+    assert.equal(resolved.targetScore, pirate.targetScore);
+  });
+});
+
+test("resolveRules hands out copies", () => {
+  const a = rules.resolveRules("pirate");
+  a.combos.straight = 1;
+  assert.equal(rules.resolveRules("pirate").combos.straight, 1500);
+});
+
+test("scores singles and three of a kind", () => {
+  assert.equal(rules.scoreKeptDice([1], pirate).points, 100);
+  assert.equal(rules.scoreKeptDice([5, 5], pirate).points, 100);
+  assert.equal(rules.scoreKeptDice([1, 1, 1], pirate).points, 1000);
+  assert.equal(rules.scoreKeptDice([4, 4, 4, 5], pirate).points, 450);
+});
+
+test("rejects keeps that include a non-scoring die", () => {
+  assert.deepEqual(rules.scoreKeptDice([1, 2], pirate), { points: 0, usedCounts: null });
+  assert.equal(rules.scoreKeptDice([], pirate).points, 0);
+});
+
+test("flat n-of-a-kind scores 1000/2000/3000", () => {
+  assert.equal(rules.scoreKeptDice([2, 2, 2, 2], pirate).points, 1000);
+  assert.equal(rules.scoreKeptDice([3, 3, 3, 3, 3], pirate).points, 2000);
+  assert.equal(rules.scoreKeptDice([6, 6, 6, 6, 6, 6], pirate).points, 3000);
+});
+
+test("doubling n-of-a-kind doubles the triple per extra die", () => {
+  assert.equal(rules.scoreKeptDice([2, 2, 2, 2], classic).points, 400);
+  assert.equal(rules.scoreKeptDice([3, 3, 3, 3, 3], classic).points, 1200);
+  assert.equal(rules.scoreKeptDice([1, 1, 1, 1, 1, 1], classic).points, 8000);
+});
+
+test("six-dice combos use the configured values", () => {
+  assert.equal(rules.scoreKeptDice([1, 2, 3, 4, 5, 6], pirate).points, 1500);
+  assert.equal(rules.scoreKeptDice([2, 2, 3, 3, 4, 4], pirate).points, 1500);
+  assert.equal(rules.scoreKeptDice([2, 2, 2, 3, 3, 3], pirate).points, 2500);
+  assert.equal(rules.scoreKeptDice([1, 2, 3, 4, 5, 6], classic).points, 1000);
+  assert.equal(rules.scoreKeptDice([2, 2, 3, 3, 4, 4], classic).points, 500);
+});
+
+test("disabled combos fall back to plain sets", () => {
+  assert.equal(rules.scoreKeptDice([2, 2, 2, 3, 3, 3], classic).points, 500);
+  const noPairs = rules.resolveRules("pirate");
+  noPairs.enabledCombos.threePairs = false;
+  assert.equal(rules.scoreKeptDice([2, 2, 3, 3, 4, 4], noPairs).points, 0);
+  assert.equal(rules.isFarkle([2, 2, 3, 3, 4, 4], noPairs), true);
+});
+
+test("isFarkle spots rolls where nothing scores", () => {
+  assert.equal(rules.isFarkle([2, 3, 4, 6], pirate), true);
+  assert.equal(rules.isFarkle([2, 3, 5], pirate), false);
+  assert.equal(rules.isFarkle([4, 4, 4], pirate), false);
+  assert.equal(rules.isFarkle([2, 2, 3, 3, 4, 4], pirate), false);
+  assert.equal(rules.isFarkle([], pirate), false);
+});
+
+test("roll only rerolls dice that are not locked", () => {
+  const state = twoPlayerGame({
+    dice: [1, 2, 3, 4, 5, 6],
+    locked: [true, false, false, false, false, false],
+    canRoll: true
+  });
+  const { state: next, events } = rules.roll(state, 0, pirate, dieSequence([5, 5, 5, 5, 5]));
+  assert.deepEqual(next.dice, [1, 5, 5, 5, 5, 5]);
+  assert.equal(next.canRoll, false);
+  assert.deepEqual(events, [{ type: "roll", seat: 0, dice: [1, 5, 5, 5, 5, 5], rolled: [5, 5, 5, 5, 5] }]);
+  assert.deepEqual(state.dice, [1, 2, 3, 4, 5, 6], "input state is not mutated");
+});
+
+test("a farkle loses the turn points and passes the turn", () => {
+  const state = twoPlayerGame({ turnPoints: 450, locked: [true, true, true, false, false, false] });
+  const { state: next, events } = rules.roll(state, 0, pirate, dieSequence([2, 3, 4]));
+  assert.equal(next.activeSeat, 1);
+  assert.equal(next.turnPoints, 0);
+  assert.equal(next.canRoll, true);
+  assert.deepEqual(events[1], { type: "farkle", seat: 0, lost: 450 });
+});
+
+test("actions are refused out of turn", () => {
+  const state = twoPlayerGame();
+  assert.equal(rules.roll(state, 1, pirate).error, "Not your turn.");
+  assert.equal(rules.bank({ ...state, phase: "lobby" }, 0, pirate).error, "Game not ready.");
+});
+
+test("toggleSelect refuses locked dice", () => {
+  const state = twoPlayerGame({ canRoll: false, locked: [true, false, false, false, false, false] });
+  assert.equal(rules.toggleSelect(state, 0, 0).error, "That die is already locked in.");
+  assert.deepEqual(rules.toggleSelect(state, 0, 1).state.selected, [false, true, false, false, false, false]);
+});
+
+test("toggleSelect only takes a whole die index", () => {
+  const state = twoPlayerGame({ canRoll: false });
+  [2.5, -1, 6, "2", null].forEach(idx => assert.equal(rules.toggleSelect(state, 0, idx).error, "Invalid die."));
+});
+
+test("keep scores only newly selected dice", () => {
+  let state = twoPlayerGame({ dice: [1, 5, 2, 3, 4, 6], canRoll: false });
+  state = rules.toggleSelect(state, 0, 0).state;
+  state = rules.keep(state, 0, pirate).state;
+  assert.equal(state.turnPoints, 100);
+
+  state = rules.roll(state, 0, pirate, dieSequence([5, 2, 3, 4, 6])).state;
+  state = rules.toggleSelect(state, 0, 1).state;
+  const { state: next, events } = rules.keep(state, 0, pirate);
+  assert.equal(next.turnPoints, 150);
+  assert.deepEqual(next.keeps, [{ dice: [1], points: 100 }, { dice: [5], points: 50 }]);
+  assert.deepEqual(next.locked, [true, true, false, false, false, false]);
+  assert.deepEqual(events, [{ type: "keep", seat: 0, dice: [5], points: 50 }]);
+});
+
+test("keeping the last dice gives hot dice", () => {
+  const state = twoPlayerGame({
+    dice: [1, 1, 1, 5, 5, 5],
+    locked: [true, true, true, false, false, false],
+    selected: [false, false, false, true, true, true],
+    turnPoints: 1000,
+    canRoll: false
+  });
+  const { state: next, events } = rules.keep(state, 0, pirate);
+  assert.equal(next.turnPoints, 1500);
+  assert.deepEqual(next.locked, [false, false, false, false, false, false]);
+  assert.equal(events[1].type, "hotDice");
+});
+
+test("bank adds the turn points and passes the turn", () => {
+  const state = twoPlayerGame({ turnPoints: 600, keeps: [{ dice: [6, 6, 6], points: 600 }] });
+  const { state: next, events } = rules.bank(state, 0, pirate);
+  assert.equal(next.players[0].score, 600);
+  assert.equal(next.activeSeat, 1);
+  assert.deepEqual(next.keeps, []);
+  assert.deepEqual(events, [{ type: "bank", seat: 0, points: 600, score: 600 }]);
+});
+
+test("resolveRules applies table toggles on top of the preset", () => {
+  assert.equal(pirate.lastChance, false);
+  assert.equal(rules.resolveRules("pirate", { lastChance: true }).lastChance, true);
+  assert.equal(rules.resolveRules("classic", { lastChance: "yes" }).lastChance, true);
+});
+
+test("reaching the target score ends the game", () => {
+  const state = twoPlayerGame({ turnPoints: 500 });
+  state.players[0].score = 9600;
+  const { state: next, events } = rules.bank(state, 0, pirate);
+  assert.equal(next.phase, "gameover");
+  assert.equal(next.winner, 0);
+  assert.equal(next.canRoll, false);
+  assert.deepEqual(events[1], { type: "gameOver", winner: 0, scores: [10100, 0] });
+  assert.equal(rules.roll(next, 0, pirate).error, "Game not ready.");
+});
+
+test("last chance gives everyone else one more turn", () => {
+  const lastChance = rules.resolveRules("pirate", { lastChance: true });
+  const state = twoPlayerGame({ turnPoints: 500 });
+  state.players[0].score = 9600;
+  state.players[1].score = 9000;
+
+  const banked = rules.bank(state, 0, lastChance);
+  assert.equal(banked.state.phase, "turn");
+  assert.equal(banked.state.activeSeat, 1);
+  assert.deepEqual(banked.state.finalRound, { triggeredBy: 0, pending: [1] });
+  assert.equal(banked.events[1].type, "finalRound");
+
+  const overtaken = rules.bank({ ...banked.state, turnPoints: 1500 }, 1, lastChance);
+  assert.equal(overtaken.state.phase, "gameover");
+  assert.equal(overtaken.state.winner, 1);
+});
+
+test("a farkle in the final round still ends the game", () => {
+  const lastChance = rules.resolveRules("pirate", { lastChance: true });
+  const state = twoPlayerGame({ activeSeat: 1, finalRound: { triggeredBy: 0, pending: [1] } });
+  state.players[0].score = 10100;
+  const { state: next } = rules.roll(state, 1, lastChance, dieSequence([2, 2, 3, 3, 4, 6]));
+  assert.equal(next.phase, "gameover");
+  assert.equal(next.winner, 0);
+});
+
+test("turns rotate round the table and skip empty seats", () => {
+  const state = game(["Anne", null, "Mary", "Jack"], { turnPoints: 300 });
+  assert.equal(rules.bank(state, 0, pirate).state.activeSeat, 2);
+  assert.equal(rules.bank({ ...state, activeSeat: 3 }, 3, pirate).state.activeSeat, 0);
+  assert.equal(rules.firstSeat(game([null, "Mary", "Jack"])), 1);
+});
+
+test("last chance queues every other player in turn order", () => {
+  const lastChance = rules.resolveRules("pirate", { lastChance: true });
+  const state = game(["Anne", "Mary", "Jack", "Ben"], { activeSeat: 2, turnPoints: 10000 });
+  const { state: next } = rules.bank(state, 2, lastChance);
+  assert.deepEqual(next.finalRound, { triggeredBy: 2, pending: [3, 0, 1] });
+  assert.equal(next.activeSeat, 3);
+});
+
+test("seatLeft passes the turn on when the active player leaves", () => {
+  const state = game(["Anne", "Mary", "Jack"], { activeSeat: 1, turnPoints: 400 });
+  state.players[1].clientId = null;
+  const { state: next, events } = rules.seatLeft(state, 1);
+  assert.equal(next.activeSeat, 2);
+  assert.equal(next.turnPoints, 0);
+  assert.deepEqual(events, [{ type: "left", seat: 1 }]);
+});
+
+test("seatLeft ends the game when one player is left", () => {
+  const state = twoPlayerGame();
+  state.players[0].clientId = null;
+  const { state: next } = rules.seatLeft(state, 0);
+  assert.equal(next.phase, "gameover");
+  assert.equal(next.winner, 1);
+});
+
+test("timeUp banks kept points and passes the turn", () => {
+  const state = twoPlayerGame({ turnPoints: 350, canRoll: false });
+  const { state: next, events } = rules.timeUp(state, 0, pirate);
+  assert.equal(next.players[0].score, 350);
+  assert.equal(next.activeSeat, 1);
+  assert.deepEqual(events.map(e => e.type), ["timeUp", "bank"]);
+});
+
+test("timeUp with nothing kept just passes the turn", () => {
+  const { state: next, events } = rules.timeUp(twoPlayerGame(), 0, pirate);
+  assert.equal(next.players[0].score, 0);
+  assert.equal(next.activeSeat, 1);
+  assert.deepEqual(events, [{ type: "timeUp", seat: 0 }]);
+});
+
+test("a claimed forfeit is logged as such", () => {
+  const state = twoPlayerGame({ activeSeat: 1 });
+  state.players[1].clientId = null;
+  const { state: next, events } = rules.seatLeft(state, 1, 0);
+  assert.deepEqual(events[0], { type: "forfeit", seat: 1, by: 0 });
+  assert.equal(next.winner, 0);
+});
+
+test("house rules are picked from the allowed values", () => {
+  const house = rules.resolveRules("pirate", { openingScore: "500", farklePenalty: 1000, piggyback: true });
+  assert.equal(house.openingScore, 500);
+  assert.equal(house.farklePenalty, 1000);
+  assert.equal(house.piggyback, true);
+  assert.equal(rules.resolveRules("pirate", { openingScore: 123 }).openingScore, 0);
+});
+
+test("the opening threshold blocks small first banks", () => {
+  const opening = rules.resolveRules("pirate", { openingScore: 500 });
+  const state = twoPlayerGame({ turnPoints: 300 });
+  assert.equal(rules.bank(state, 0, opening).error, "You need 500 in one turn to get on the board.");
+
+  const { state: next } = rules.bank({ ...state, turnPoints: 500 }, 0, opening);
+  assert.equal(next.players[0].onBoard, true);
+  assert.equal(rules.bank({ ...next, activeSeat: 0, turnPoints: 50 }, 0, opening).error, undefined);
+});
+
+test("a third farkle in a row costs the penalty", () => {
+  const penalty = rules.resolveRules("pirate", { farklePenalty: 1000 });
+  const state = twoPlayerGame();
+  state.players[0].score = 2000;
+  state.players[0].farkles = 2;
+  const { state: next, events } = rules.roll(state, 0, penalty, dieSequence([2, 2, 3, 3, 4, 6]));
+  assert.equal(next.players[0].score, 1000);
+  assert.equal(next.players[0].farkles, 0);
+  assert.deepEqual(events[2], { type: "farklePenalty", seat: 0, points: 1000, score: 1000 });
+});
+
+test("banking resets the farkle streak", () => {
+  const state = twoPlayerGame({ turnPoints: 200 });
+  state.players[0].farkles = 2;
+  assert.equal(rules.bank(state, 0, pirate).state.players[0].farkles, 0);
+});
+
+test("banking nothing passes the turn without clearing the farkle streak", () => {
+  const state = twoPlayerGame();
+  state.players[0].farkles = 2;
+  const { state: next } = rules.bank(state, 0, pirate);
+  assert.equal(next.activeSeat, 1);
+  assert.equal(next.players[0].farkles, 2);
+  assert.equal(next.players[0].onBoard, state.players[0].onBoard);
+});
+
+test("piggyback lets the next player take over the pot", () => {
+  const piggyback = rules.resolveRules("pirate", { piggyback: true });
+  const state = twoPlayerGame({
+    dice: [1, 5, 5, 2, 3, 4],
+    locked: [true, true, true, false, false, false],
+    turnPoints: 200
+  });
+  const banked = rules.bank(state, 0, piggyback).state;
+  assert.deepEqual(banked.pot, { from: 0, points: 200, dice: [1, 5, 5, 2, 3, 4], locked: state.locked });
+
+  const { state: taken, events } = rules.takePot(banked, 1, piggyback);
+  assert.equal(taken.turnPoints, 200);
+  assert.deepEqual(taken.locked, state.locked);
+  assert.equal(taken.pot, null);
+  assert.deepEqual(events, [{ type: "potTaken", seat: 1, from: 0, points: 200 }]);
+
+  const rolled = rules.roll(banked, 1, piggyback, dieSequence([2, 3, 4, 6, 6, 1])).state;
+  assert.equal(rolled.pot, null, "rolling fresh turns the pot down");
+  assert.equal(rules.takePot(rolled, 1, piggyback).error, "There's no pot to take.");
+});
@@ -0,0 +1,22 @@
+// test/sim.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { simulate } = require("../sim");
+
+test("every simulated game has exactly one winner", () => {
+  const report = simulate({ games: 40, strategies: ["ev", "cautious", "threshold"], preset: "classic", seed: "sim-test" });
+  const wins = report.seats.reduce((sum, s) => sum + s.winRate * report.games, 0);
+  assert.equal(Math.round(wins), 40);
+  report.seats.forEach(s => assert.ok(s.finalScore.max >= s.finalScore.median));
+});
+
+test("a seeded run is repeatable", () => {
+  const options = {
+    games: 20,
+    strategies: ["ev", "threshold"],
+    preset: "pirate",
+    houseRules: { openingScore: 500, farklePenalty: 1000, piggyback: true },
+    seed: "same-dice"
+  };
+  assert.deepEqual(simulate(options), simulate(options));
+});
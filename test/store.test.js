@@ -0,0 +1,46 @@
+// test/store.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJsonFileStore, createMemoryStore } = require("../store");
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "farkle-store-"));
+  return path.join(dir, "nested", "rooms.json");
+}
+
+test("json file store round-trips rooms through the file", () => {
+  const file = tempFile();
+  const store = createJsonFileStore(file);
+  store.save({ code: "AAAAA", phase: "turn" });
+  store.save({ code: "BBBBB", phase: "lobby" });
+  store.remove("BBBBB");
+  store.flush();
+
+  const reopened = createJsonFileStore(file);
+  assert.deepEqual(reopened.load(), [{ code: "AAAAA", phase: "turn" }]);
+});
+
+test("json file store starts empty when there is no file yet", () => {
+  assert.deepEqual(createJsonFileStore(tempFile()).load(), []);
+});
+
+test("memory store has the same interface", () => {
+  const store = createMemoryStore();
+  store.save({ code: "AAAAA" });
+  store.flush();
+  assert.deepEqual(store.load(), [{ code: "AAAAA" }]);
+  store.remove("AAAAA");
+  assert.deepEqual(store.load(), []);
+});
+
+test("stores can key records by another field", () => {
+  const file = tempFile();
+  const store = createJsonFileStore(file, "id");
+  store.save({ id: "p1", name: "Anne" });
+  store.save({ id: "p1", name: "Anne Bonny" });
+  store.flush();
+  assert.deepEqual(createJsonFileStore(file, "id").load(), [{ id: "p1", name: "Anne Bonny" }]);
+});
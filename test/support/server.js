@@ -0,0 +1,44 @@
+// test/support/server.js
+// The real server on a free port, with nothing written to disk, for tests
+// that talk to it over HTTP or socket.io
+const path = require("path");
+const { spawn } = require("child_process");
+const { io } = require("socket.io-client");
+
+function startServer(env = {}) {
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "..", "server.js")], {
+    env: { ...process.env, PORT: "0", ROOM_STORE: "memory", SEAT_TOKEN_SECRET: "test", ...env },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  return new Promise((resolve, reject) => {
+    let out = "";
+    child.on("exit", (code) => reject(new Error(`server exited with ${code}`)));
+    child.stdout.on("data", (chunk) => {
+      out += chunk;
+      const match = /listening on (\d+)/.exec(out);
+      if (match) resolve({ child, url: `http://localhost:${match[1]}` });
+    });
+  });
+}
+
+// A socket that keeps every event the server sent it, in order
+function connect(url) {
+  const socket = io(url, { transports: ["websocket"], forceNew: true });
+  socket.received = [];
+  socket.onAny((event, data) => socket.received.push({ event, data }));
+  return socket;
+}
+
+// The next `event` whose data passes `match`
+function next(socket, event, match = () => true) {
+  return new Promise((resolve) => {
+    const handler = (data) => {
+      if (!match(data)) return;
+      socket.off(event, handler);
+      resolve(data);
+    };
+    socket.on(event, handler);
+  });
+}
+
+module.exports = { startServer, connect, next };
@@ -0,0 +1,74 @@
+// test/tables.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, connect, next } = require("./support/server");
+
+test("sitting at a new table leaves the old one behind", { timeout: 10000 }, async (t) => {
+  const { child, url } = await startServer({ ADMIN_PASSWORD: "tables-test" });
+  const anne = connect(url);
+  const bob = connect(url);
+  t.after(() => {
+    anne.close();
+    bob.close();
+    child.kill();
+  });
+
+  anne.emit("room:create", { name: "Anne", seats: 2 });
+  const first = (await next(anne, "room:joined")).code;
+  bob.emit("room:join", { code: first, name: "Bob" });
+  await next(bob, "room:update", (s) => s.phase === "turn");
+
+  // Anne moves to another table, the way a tournament match or Watch does
+  const away = next(bob, "room:update", (s) => !s.players[0].online);
+  anne.emit("room:create", { name: "Anne", seats: 2 });
+  const second = (await next(anne, "room:joined")).code;
+  assert.notEqual(second, first);
+  assert.equal((await away).players[0].forfeitInMs > 0, true);
+
+  // Closing the old table sends Bob away but leaves Anne where she is
+  const bobSentAway = next(bob, "room:closed");
+  const closed = await fetch(`${url}/admin/rooms/${first}/close`, {
+    method: "POST",
+    headers: { Authorization: "Bearer tables-test" }
+  });
+  assert.equal(closed.status, 200);
+  await bobSentAway;
+
+  anne.emit("host:lock", { locked: true });
+  assert.equal((await next(anne, "room:update", (s) => s.tableLocked)).code, second);
+
+  const since = anne.received.findIndex(e => e.event === "room:joined" && e.data.code === second);
+  const fromOld = anne.received.slice(since).filter(e => e.data && e.data.code === first);
+  assert.deepEqual(fromOld, []);
+});
+
+test("watching another table stops a spectator watching the first", { timeout: 10000 }, async (t) => {
+  const { child, url } = await startServer();
+  const anne = connect(url);
+  const bob = connect(url);
+  const cat = connect(url);
+  t.after(() => {
+    [anne, bob, cat].forEach(s => s.close());
+    child.kill();
+  });
+
+  anne.emit("room:create", { name: "Anne", seats: 2 });
+  const first = (await next(anne, "room:joined")).code;
+  bob.emit("room:create", { name: "Bob", seats: 2 });
+  const second = (await next(bob, "room:joined")).code;
+
+  cat.emit("room:join", { code: first, spectate: true });
+  await next(anne, "room:update", (s) => s.spectators === 1);
+
+  const gone = next(anne, "room:update", (s) => s.spectators === 0);
+  cat.emit("room:join", { code: second, spectate: true });
+  await next(bob, "room:update", (s) => s.spectators === 1);
+  await gone;
+
+  const since = cat.received.findIndex(e => e.event === "room:joined" && e.data.code === second);
+  anne.emit("host:lock", { locked: true });
+  await next(anne, "room:update", (s) => s.tableLocked);
+  bob.emit("host:lock", { locked: true });
+  await next(cat, "room:update", (s) => s.tableLocked);
+  assert.deepEqual(cat.received.slice(since).filter(e => e.data && e.data.code === first), []);
+});
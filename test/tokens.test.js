@@ -0,0 +1,34 @@
+// test/tokens.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createSeatTokens, createProfileTokens, newPlayerId } = require("../tokens");
+
+const tokens = createSeatTokens("test-secret");
+
+test("a seat token round-trips", () => {
+  const id = newPlayerId();
+  const token = tokens.issue("ABC12", 3, id);
+  assert.deepEqual(tokens.verify(token), { code: "ABC12", seat: 3, playerId: id });
+});
+
+test("tampered or foreign tokens are rejected", () => {
+  const token = tokens.issue("ABC12", 0, "p1");
+  assert.equal(tokens.verify(token.replace("ABC12.0", "ABC12.1")), null);
+  assert.equal(tokens.verify(createSeatTokens("other").issue("ABC12", 0, "p1")), null);
+  assert.equal(tokens.verify(`${token}x`), null);
+});
+
+test("junk is rejected without throwing", () => {
+  [undefined, null, 42, {}, "", "a.b.c", "a.b.c.d.e", "x".repeat(500)].forEach(junk => {
+    assert.equal(tokens.verify(junk), null);
+  });
+});
+
+test("profile tokens carry the profile id and nothing else", () => {
+  const profiles = createProfileTokens("test-secret");
+  const token = profiles.issue("abc123");
+  assert.equal(profiles.verify(token), "abc123");
+  assert.equal(profiles.verify(token.replace("abc123", "abc124")), null);
+  assert.equal(profiles.verify(tokens.issue("ABC12", 0, "abc123")), null, "seat tokens aren't profile tokens");
+  assert.equal(profiles.verify(undefined), null);
+});
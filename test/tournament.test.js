@@ -0,0 +1,46 @@
+// test/tournament.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { bracketSize, createBracket, readyMatches, recordWinner, champion } = require("../tournament");
+
+// Always picks the last index, so the draw is entrants in order
+const noShuffle = () => 0.999;
+
+test("brackets round up to a power of two", () => {
+  assert.equal(bracketSize(4), 4);
+  assert.equal(bracketSize(5), 8);
+  assert.equal(bracketSize(16), 16);
+  assert.deepEqual(createBracket(6, noShuffle).map(r => r.length), [4, 2, 1]);
+});
+
+test("every entrant is drawn once and byes never meet each other", () => {
+  for (let count = 4; count <= 16; count++) {
+    const rounds = createBracket(count);
+    const drawn = rounds[0].flatMap(m => m.players).filter(p => p !== null).sort((a, b) => a - b);
+    assert.deepEqual(drawn, Array.from({ length: count }, (_, i) => i));
+    assert.ok(rounds[0].every(m => m.players[0] !== null));
+  }
+});
+
+test("byes go straight through to the second round", () => {
+  const rounds = createBracket(5, noShuffle);
+  assert.equal(rounds[0].filter(m => m.players[1] === null).length, 3);
+  assert.deepEqual(readyMatches(rounds).map(r => [r.round, r.index]), [[0, 3], [1, 0]]);
+  assert.deepEqual(rounds[1][0].players, [rounds[0][0].players[0], rounds[0][1].players[0]]);
+});
+
+test("winners advance until there's a champion", () => {
+  const rounds = createBracket(4, noShuffle);
+  const [a, b] = rounds[0][0].players;
+  const [c] = rounds[0][1].players;
+  recordWinner(rounds, 0, 0, a);
+  assert.equal(readyMatches(rounds).length, 1);
+  recordWinner(rounds, 0, 1, c);
+  assert.deepEqual(rounds[1][0].players, [a, c]);
+  assert.equal(champion(rounds), null);
+
+  assert.throws(() => recordWinner(rounds, 1, 0, b));
+  recordWinner(rounds, 1, 0, c);
+  assert.equal(champion(rounds), c);
+  assert.throws(() => recordWinner(rounds, 1, 0, a));
+});
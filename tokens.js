@@ -0,0 +1,73 @@
+// tokens.js
+// Signed seat tokens. The server hands one out whenever a seat is claimed;
+// a reconnecting client proves it owns that seat by sending it back.
+// Token = "<code>.<seat>.<playerId>.<HMAC-SHA256 of the first three parts>".
+// Profile tokens work the same way for a browser's long-lived profile id.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+function sign(secret, body) {
+  return crypto.createHmac("sha256", secret).update(body).digest("base64url");
+}
+
+function createSeatTokens(secret) {
+  return {
+    issue(code, seat, playerId) {
+      const body = `${code}.${seat}.${playerId}`;
+      return `${body}.${sign(secret, body)}`;
+    },
+
+    // { code, seat, playerId } for a genuine token, otherwise null
+    verify(token) {
+      if (typeof token !== "string" || token.length > 200) return null;
+      const parts = token.split(".");
+      if (parts.length !== 4) return null;
+
+      const expected = Buffer.from(sign(secret, parts.slice(0, 3).join(".")));
+      const given = Buffer.from(parts[3]);
+      if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+      return { code: parts[0], seat: Number(parts[1]), playerId: parts[2] };
+    }
+  };
+}
+
+// Token = "<profileId>.<HMAC-SHA256 of "profile:" + profileId>"
+function createProfileTokens(secret) {
+  const sigFor = (id) => sign(secret, `profile:${id}`);
+  return {
+    issue: (profileId) => `${profileId}.${sigFor(profileId)}`,
+
+    // The profile id for a genuine token, otherwise null
+    verify(token) {
+      if (typeof token !== "string" || token.length > 200) return null;
+      const [id, sig, extra] = token.split(".");
+      if (!id || !sig || extra !== undefined) return null;
+
+      const expected = Buffer.from(sigFor(id));
+      const given = Buffer.from(sig);
+      if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+      return id;
+    }
+  };
+}
+
+function newPlayerId() {
+  return crypto.randomBytes(12).toString("hex");
+}
+
+// Read the signing secret from `file`, creating it on first boot, so seat
+// tokens stay valid for rooms restored after a restart.
+function loadOrCreateSecret(file) {
+  try {
+    return fs.readFileSync(file, "utf8").trim();
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  const secret = crypto.randomBytes(32).toString("hex");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+module.exports = { createSeatTokens, createProfileTokens, newPlayerId, loadOrCreateSecret };
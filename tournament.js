@@ -0,0 +1,85 @@
+// tournament.js
+// Single-elimination brackets. Entrants are plain indexes (0..n-1) into the
+// tournament's entrant list; server.js owns the rooms each match is played in.
+
+const MIN_ENTRANTS = 4;
+const MAX_ENTRANTS = 16;
+
+/**
+ * Bracket shape: rounds[r][m] = { players: [entrant|null, entrant|null], winner: entrant|null, room: code|null }
+ * Round 0 is the first round; the last round has the final as its only match.
+ * In round 0 a null player is a bye; in later rounds it's a match still to be decided.
+ */
+
+// Smallest power of two that fits everyone
+function bracketSize(count) {
+  let size = 2;
+  while (size < count) size *= 2;
+  return size;
+}
+
+function shuffled(list, random) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Put a match winner into their slot in the next round
+function advance(rounds, round, index, entrant) {
+  rounds[round][index].winner = entrant;
+  const next = rounds[round + 1];
+  if (next) next[index >> 1].players[index & 1] = entrant;
+}
+
+// Random draw for `count` entrants. Byes go one to a match, so nobody
+// gets a free pass into the second round by meeting another bye.
+function createBracket(count, random = Math.random) {
+  const size = bracketSize(count);
+  const order = shuffled(Array.from({ length: count }, (_, i) => i), random);
+  const byes = size - count;
+
+  const first = [];
+  for (let m = 0; m < size / 2; m++) {
+    first.push(m < byes ? [order.shift(), null] : [order.shift(), order.shift()]);
+  }
+
+  const rounds = [];
+  for (let matches = size / 2; matches >= 1; matches /= 2) {
+    rounds.push(Array.from({ length: matches }, () => ({ players: [null, null], winner: null, room: null })));
+  }
+  first.forEach((players, m) => (rounds[0][m].players = players));
+  first.forEach((players, m) => {
+    if (players[1] === null) advance(rounds, 0, m, players[0]);
+  });
+  return rounds;
+}
+
+// Matches with both players known that haven't been given a room yet
+function readyMatches(rounds) {
+  const ready = [];
+  rounds.forEach((matches, round) => matches.forEach((match, index) => {
+    if (match.winner === null && !match.room && match.players.every(p => p !== null)) {
+      ready.push({ round, index, match });
+    }
+  }));
+  return ready;
+}
+
+// Record a result. Throws if the winner isn't playing in that match.
+function recordWinner(rounds, round, index, entrant) {
+  const match = rounds[round] && rounds[round][index];
+  if (!match || match.winner !== null || !match.players.includes(entrant)) {
+    throw new Error(`Entrant ${entrant} can't win round ${round} match ${index}`);
+  }
+  advance(rounds, round, index, entrant);
+}
+
+// The tournament winner, or null while the final is still to be played
+function champion(rounds) {
+  return rounds[rounds.length - 1][0].winner;
+}
+
+module.exports = { MIN_ENTRANTS, MAX_ENTRANTS, bracketSize, createBracket, readyMatches, recordWinner, champion };